@@ -0,0 +1,266 @@
+import chalk from "chalk";
+import { execaCommand } from "execa";
+import fs from "fs-extra";
+import path from "path";
+import { createProject, getMissingScripts, writeScripts } from "./generate.js";
+import {
+  configureAssests,
+  configureConstants,
+  configureRepositories,
+  configureSeed,
+  configureSignInPages,
+  configureSuccessandCancel,
+  getENVContent,
+  mergeENVContent,
+} from "./generators/common.js";
+import { exitWithError } from "./options.js";
+import {
+  detectProjectPackageManager,
+  getInstallCommands,
+} from "./packageManagers.js";
+import { providers } from "./providers.js";
+import { loadRecipe } from "./recipe.js";
+
+//provider kinds that can be added to an existing app, a database brings its auth with it
+const featureKinds = {
+  db: ["db", "auth"],
+  payments: ["payments"],
+  email: ["email"],
+};
+
+//files a feature needs besides its own generator
+const supportSteps = {
+  db: [
+    configureRepositories,
+    configureSeed,
+    configureSignInPages,
+    configureConstants,
+    configureAssests,
+  ],
+  //the routes store purchases through lib/repositories and the database files it imports,
+  //an app whose database was not set up by create-your-saas gets them
+  payments: [
+    configureSuccessandCancel,
+    whenMissing(configureRepositories, (project) =>
+      project.providers.db.configure(project)
+    ),
+  ],
+  //lib/mailgun.ts takes the app title from the constants
+  email: [whenMissing(configureConstants)],
+};
+
+//env keys a feature needs besides its own, payments may bring the database files that read them
+const supportENVKinds = {
+  payments: ["db"],
+};
+
+export function getAddableFeatures() {
+  return Object.keys(featureKinds).flatMap((kind) =>
+    Object.keys(providers[kind])
+  );
+}
+
+//add one feature to the Next.js app in the current directory
+//existing files are never overwritten without --force, env keys are merged
+export async function addFeature(options) {
+  const dir = process.cwd();
+  const packageJson = await readNextProject(dir);
+  const installed = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  };
+
+  const kind = Object.keys(featureKinds).find(
+    (key) => options.feature in providers[key]
+  );
+  const db = kind === "db" ? options.feature : detectProvider("db", installed);
+  if (!db && kind === "payments") {
+    exitWithError(
+      `${
+        options.feature
+      } stores purchases in the database, add one first: create-your-saas add ${Object.keys(
+        providers.db
+      ).join("|")}`
+    );
+  }
+  const packageManager = (await detectProjectPackageManager(dir)) ?? "npm";
+  //without an email provider the templates leave out the emails
+  const projectOptions = {
+    packageManager,
+    db,
+    auth: db && providers.db[db].auth[0],
+    payments: Object.keys(providers.payments)[0],
+    email: detectProvider("email", installed),
+    [kind]: options.feature,
+  };
+
+  let recipe;
+  try {
+    recipe = await loadRecipe(options.config);
+  } catch (error) {
+    exitWithError(error.message);
+  }
+
+  //record what the generators would write, then compare it with what is on disk
+  const project = createProject({
+    dir,
+    options: projectOptions,
+    recipe,
+    dryRun: true,
+  });
+  //add never writes docker-compose.yml, the local service URLs are only used when the app has one
+  project.compose = await fs.pathExists(path.join(dir, "docker-compose.yml"));
+  const kinds = featureKinds[kind];
+  for (const providerKind of kinds) {
+    await project.providers[providerKind].configure(project);
+  }
+  for (const step of supportSteps[kind] ?? []) {
+    await step(project);
+  }
+
+  const results = [];
+  for (const file of [...project.files.keys()].sort()) {
+    const content = project.files.get(file);
+    const fullPath = path.join(dir, file);
+    let status = "create";
+    if (await fs.pathExists(fullPath)) {
+      const existing = await fs.readFile(fullPath, "utf8");
+      if (existing === content) {
+        status = "unchanged";
+      } else {
+        status = options.force ? "overwrite" : "conflict";
+      }
+    }
+    if (!options.dryRun && (status === "create" || status === "overwrite")) {
+      await fs.outputFile(fullPath, content);
+    }
+    results.push({ file, status });
+  }
+
+  //merge the env keys instead of replacing the whole file
+  const envPath = path.join(dir, ".env.local");
+  const envExists = await fs.pathExists(envPath);
+  const existingEnv = envExists ? await fs.readFile(envPath, "utf8") : "";
+  const mergedEnv = mergeENVContent(
+    existingEnv,
+    await getENVContent(project, [...kinds, ...(supportENVKinds[kind] ?? [])])
+  );
+  if (mergedEnv !== existingEnv) {
+    if (!options.dryRun) {
+      await fs.writeFile(envPath, mergedEnv);
+    }
+    results.push({
+      file: ".env.local",
+      status: envExists ? "merge" : "create",
+    });
+  }
+
+  if (Object.keys(getMissingScripts(project, packageJson)).length > 0) {
+    if (!options.dryRun) {
+      await writeScripts(project);
+    }
+    results.push({ file: "package.json", status: "merge" });
+  }
+
+  printResults(results, options);
+
+  const missing = (key) => [
+    ...new Set(
+      kinds
+        .flatMap((kind) => project.providers[kind][key] ?? [])
+        .filter((dependency) => !(dependency in installed))
+    ),
+  ];
+  const commands = getInstallCommands(packageManager, {
+    dependencies: missing("dependencies"),
+    devDependencies: missing("devDependencies"),
+  });
+  if (commands.length === 0) {
+    return;
+  }
+  if (options.dryRun) {
+    console.log(`\nDependencies to install: ${commands.join(" && ")}`);
+    return;
+  }
+  console.log("Installing additional dependencies...");
+  try {
+    for (const command of commands) {
+      await execaCommand(command, { cwd: dir });
+    }
+    console.log(chalk.green("Dependencies installed successfully"));
+  } catch (error) {
+    console.error(chalk.red("Error installing dependencies:"), error);
+    process.exit(1);
+  }
+}
+
+async function readNextProject(dir) {
+  const packagePath = path.join(dir, "package.json");
+  if (!(await fs.pathExists(packagePath))) {
+    exitWithError(`No package.json in ${dir}, run add inside your Next.js app`);
+  }
+  const packageJson = await fs.readJson(packagePath);
+  if (!packageJson.dependencies?.next && !packageJson.devDependencies?.next) {
+    exitWithError(`${dir} is not a Next.js app, "next" is not a dependency`);
+  }
+  if (!(await fs.pathExists(path.join(dir, "app")))) {
+    exitWithError(
+      (await fs.pathExists(path.join(dir, "src", "app")))
+        ? "Apps with a src/ directory are not supported yet"
+        : `No app/ directory in ${dir}, add only works with the App Router`
+    );
+  }
+  return packageJson;
+}
+
+//run the steps for the files the app does not have yet, the ones it has are kept
+function whenMissing(...steps) {
+  return async (project) => {
+    const written = new Set(project.files.keys());
+    for (const step of steps) {
+      await step(project);
+    }
+    for (const file of project.files.keys()) {
+      if (
+        !written.has(file) &&
+        (await fs.pathExists(path.join(project.dir, file)))
+      ) {
+        project.files.delete(file);
+      }
+    }
+  };
+}
+
+//the provider of that kind already used by the app, from its dependencies
+function detectProvider(kind, installed) {
+  return Object.keys(providers[kind]).find((key) =>
+    providers[kind][key].dependencies.every(
+      (dependency) => dependency in installed
+    )
+  );
+}
+
+function printResults(results, options) {
+  const colors = {
+    create: chalk.green,
+    merge: chalk.green,
+    overwrite: chalk.yellow,
+    unchanged: chalk.dim,
+    conflict: chalk.red,
+  };
+  for (const { file, status } of results) {
+    console.log(`  ${colors[status](status.padEnd(10))}${file}`);
+  }
+
+  const conflicts = results.filter(({ status }) => status === "conflict");
+  if (conflicts.length > 0) {
+    console.log(
+      chalk.yellow(
+        `\n${conflicts.length} existing file(s) differ and were kept, re-run with --force to overwrite them`
+      )
+    );
+  }
+  if (options.dryRun) {
+    console.log(chalk.dim("\nDry run, nothing was written"));
+  }
+}
@@ -0,0 +1,86 @@
+import chalk from "chalk";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { templatesDir } from "./templates.js";
+
+//snapshot of create-next-app 14.2.35 (--typescript --tailwind --eslint --app --no-src-dir), used when there is no cached one
+const bundledDir = path.join(templatesDir, "base");
+
+//npm does not publish dotfiles, like create-next-app the snapshot stores them without the dot
+const renamedFiles = {
+  gitignore: ".gitignore",
+  "eslintrc.json": ".eslintrc.json",
+};
+
+//files of a create-next-app project that do not belong in the snapshot
+const skippedFiles = [
+  "node_modules",
+  ".git",
+  ".next",
+  "package-lock.json",
+  "pnpm-lock.yaml",
+  "yarn.lock",
+  "bun.lockb",
+  "bun.lock",
+];
+
+export function getCacheDir() {
+  return path.join(
+    process.env.SAASSTART_CACHE_DIR ??
+      path.join(os.homedir(), ".cache", "saasstart"),
+    "base"
+  );
+}
+
+//keep what create-next-app generated, so the next --offline run starts from the same Next.js
+//a failure only costs the cache, never the project
+export async function cacheBaseTemplate(projectDir) {
+  const cacheDir = getCacheDir();
+  try {
+    await fs.remove(cacheDir);
+    await fs.copy(projectDir, cacheDir, {
+      filter: (file) =>
+        !skippedFiles.includes(
+          path.relative(projectDir, file).split(path.sep)[0]
+        ),
+    });
+  } catch (error) {
+    console.log(
+      chalk.yellow(`Could not cache the Next app template: ${error.message}`)
+    );
+  }
+}
+
+//offline replacement of create-next-app: copy the cached snapshot, or the bundled one
+//the dependencies are not installed, the package manager installs them with the providers ones
+export async function copyBaseTemplate(
+  projectName,
+  { cwd = process.cwd() } = {}
+) {
+  const cacheDir = getCacheDir();
+  const sourceDir = (await fs.pathExists(path.join(cacheDir, "package.json")))
+    ? cacheDir
+    : bundledDir;
+  console.log(
+    sourceDir === cacheDir
+      ? `Using the cached Next app template from ${cacheDir}`
+      : "Using the bundled Next app template"
+  );
+
+  const projectDir = path.join(cwd, projectName);
+  await fs.copy(sourceDir, projectDir, { errorOnExist: true });
+  for (const [from, to] of Object.entries(renamedFiles)) {
+    if (await fs.pathExists(path.join(projectDir, from))) {
+      await fs.move(path.join(projectDir, from), path.join(projectDir, to));
+    }
+  }
+
+  const packagePath = path.join(projectDir, "package.json");
+  const packageJson = await fs.readJson(packagePath);
+  await fs.writeJson(
+    packagePath,
+    { ...packageJson, name: projectName },
+    { spaces: 2 }
+  );
+}
@@ -0,0 +1,319 @@
+import { addFeature, getAddableFeatures } from "./add.js";
+import chalk from "chalk";
+import { runDoctor } from "./doctor.js";
+import prompts from "prompts";
+import {
+  exitWithError,
+  parseAddOptions,
+  parseDoctorOptions,
+  parseUpgradeOptions,
+  parseOptions,
+  validateOptions,
+  validateProjectName,
+} from "./options.js";
+import { createSaaS } from "./index.js";
+import { loadPlugins } from "./plugins.js";
+import {
+  detectPackageManager,
+  getRunCommand,
+  packageManagers,
+  validateOffline,
+} from "./packageManagers.js";
+import {
+  DEFAULT_SIGN_IN,
+  getSupportedOptions,
+  providers,
+  resolveProviders,
+  signInMethods,
+} from "./providers.js";
+import { loadRecipe, RECIPE_FILE } from "./recipe.js";
+import { runUpgrade } from "./upgrade.js";
+
+const DEFAULT_PROJECT_NAME = "my-app";
+
+//presets -> provider choices made by the command itself (e.g. create-your-saas-supabase)
+export async function run(presets = {}) {
+  console.log("-----Welcome to SaaSStart-----");
+  const argv = process.argv.slice(2);
+  if (argv[0] === "add") {
+    await addFeature(parseAddOptions(argv.slice(1), getAddableFeatures()));
+    return;
+  }
+  if (argv[0] === "upgrade") {
+    await runUpgrade(parseUpgradeOptions(argv.slice(1)));
+    return;
+  }
+  if (argv[0] === "doctor") {
+    await runDoctor(parseDoctorOptions(argv.slice(1)));
+    return;
+  }
+
+  const supported = getSupportedOptions();
+  const options = await parseOptions(argv, supported);
+
+  let recipe;
+  try {
+    recipe = await loadRecipe(options.config);
+  } catch (error) {
+    exitWithError(error.message);
+  }
+
+  //flags win over the recipe, the recipe wins over the command presets
+  const recipeFile = options.config ?? RECIPE_FILE;
+  for (const kind of Object.keys(recipe.providers)) {
+    if (!(kind in supported)) {
+      exitWithError(
+        `Unknown provider "${kind}" in ${recipeFile}. Expected one of: ${Object.keys(
+          supported
+        ).join(", ")}`
+      );
+    }
+  }
+  const recipeOptions = {
+    name: recipe.name,
+    packageManager: recipe.packageManager,
+    signIn: recipe.signIn,
+    ...recipe.providers,
+  };
+  try {
+    await validateOptions(recipeOptions, supported, recipeFile);
+  } catch (error) {
+    exitWithError(error.message);
+  }
+  for (const key of [
+    "name",
+    "packageManager",
+    "signIn",
+    ...Object.keys(supported),
+  ]) {
+    options[key] = options[key] ?? recipeOptions[key] ?? presets[key];
+  }
+  await promptMissingOptions(options, recipe);
+  if (options.offline) {
+    try {
+      validateOffline(options.packageManager);
+    } catch (error) {
+      exitWithError(error.message);
+    }
+  }
+
+  //plugins of the recipe and of --plugin, local paths are relative to the current directory
+  let plugins;
+  try {
+    plugins = await loadPlugins([...recipe.plugins, ...options.plugins]);
+  } catch (error) {
+    exitWithError(error.message);
+  }
+  await promptPluginOptions(plugins, options);
+
+  const labels = [...Object.values(resolveProviders(options)), ...plugins]
+    .map((provider) => provider.label ?? provider.name)
+    .join(", ");
+  console.log(`---->You are using : Next.js(TS), ${labels}`);
+
+  if (options.dryRun) {
+    try {
+      await createSaaS(getCreateOptions(options, recipe, plugins));
+    } catch (error) {
+      console.log(chalk.red("Cannot plan Next App"), error);
+      process.exit(1);
+    }
+    return;
+  }
+
+  try {
+    await createSaaS(getCreateOptions(options, recipe, plugins));
+
+    console.log(chalk.green("Project created successfully!"));
+
+    console.log(
+      chalk.green(`Run --> ${getRunCommand(options.packageManager, "dev")}`)
+    );
+    console.log(chalk.green("Add ENV variable"));
+  } catch (error) {
+    console.log(chalk.red("Cannot create Next App"), error);
+    process.exit(1);
+  }
+}
+
+//everything is decided at this point, the API only builds the project
+function getCreateOptions(options, recipe, plugins) {
+  return {
+    name: options.name,
+    dir: process.cwd(),
+    providers: Object.fromEntries(
+      Object.keys(providers).map((kind) => [kind, options[kind]])
+    ),
+    recipe: {
+      ...recipe,
+      firebase: { ...recipe.firebase, emulators: options.emulators },
+    },
+    plugins,
+    packageManager: options.packageManager,
+    signIn: options.signIn,
+    offline: options.offline,
+    dryRun: options.dryRun,
+    diff: options.diff,
+    keepOnError: options.keepOnError,
+  };
+}
+
+//ask for everything that was not passed as a flag, --yes takes the defaults
+async function promptMissingOptions(options, recipe) {
+  if (!options.name) {
+    options.name = options.yes
+      ? DEFAULT_PROJECT_NAME
+      : await ask({
+          type: "text",
+          message: "Name for your project?",
+          initial: DEFAULT_PROJECT_NAME,
+          validate: validateProjectName,
+        });
+  }
+
+  //pnpm dlx, yarn create and bunx already tell which one to use
+  options.packageManager =
+    options.packageManager ??
+    detectPackageManager() ??
+    (options.yes
+      ? Object.keys(packageManagers)[0]
+      : await ask({
+          type: "select",
+          message: "Which package manager?",
+          choices: Object.keys(packageManagers).map((name) => ({
+            title: name,
+            value: name,
+          })),
+        }));
+
+  options.db = await selectProvider(options, "db", "Which database?");
+  options.auth = await selectProvider(
+    options,
+    "auth",
+    "Which authentication?",
+    providers.db[options.db].auth
+  );
+  options.signIn = await selectSignIn(options);
+  options.emulators = await selectEmulators(options, recipe);
+  options.payments = await selectProvider(
+    options,
+    "payments",
+    "Which payment provider?"
+  );
+  options.email = await selectProvider(
+    options,
+    "email",
+    "Which email provider?"
+  );
+}
+
+//--yes takes the initial value of every plugin question
+async function promptPluginOptions(plugins, options) {
+  for (const plugin of plugins) {
+    for (const question of plugin.prompts) {
+      plugin.answers[question.name] = options.yes
+        ? question.initial
+        : await ask(question);
+    }
+  }
+}
+
+async function selectProvider(
+  options,
+  kind,
+  message,
+  choices = Object.keys(providers[kind])
+) {
+  const value = options[kind];
+  if (value !== undefined) {
+    if (!choices.includes(value)) {
+      console.error(
+        chalk.red(
+          `--${kind} "${value}" cannot be used with --db "${
+            options.db
+          }". Expected one of: ${choices.join(", ")}`
+        )
+      );
+      process.exit(1);
+    }
+    return value;
+  }
+
+  //nothing to ask when there is only one choice
+  if (options.yes || choices.length === 1) {
+    return choices[0];
+  }
+
+  return ask({
+    type: "select",
+    message,
+    choices: choices.map((choice) => ({
+      title: providers[kind][choice].label,
+      value: choice,
+    })),
+  });
+}
+
+//only Firebase has emulators, the flag wins over the recipe and --yes leaves them off
+async function selectEmulators(options, recipe) {
+  if (options.db !== "firebase") {
+    if (options.emulators) {
+      exitWithError(
+        `--emulators cannot be used with --db "${options.db}", only with firebase`
+      );
+    }
+    return undefined;
+  }
+  const emulators = options.emulators ?? recipe.firebase.emulators;
+  if (emulators !== undefined || options.yes) {
+    return Boolean(emulators);
+  }
+  return ask({
+    type: "confirm",
+    message: "Use the Firebase Local Emulator Suite for local development?",
+    initial: false,
+  });
+}
+
+//the auth provider decides which methods can be offered, --yes keeps Google
+async function selectSignIn(options) {
+  const choices = Object.keys(providers.auth[options.auth].signIn);
+  if (options.signIn !== undefined) {
+    const unsupported = options.signIn.filter(
+      (method) => !choices.includes(method)
+    );
+    if (unsupported.length > 0) {
+      exitWithError(
+        `--sign-in "${unsupported.join(",")}" cannot be used with --auth "${
+          options.auth
+        }". Expected a list of: ${choices.join(", ")}`
+      );
+    }
+    return options.signIn;
+  }
+
+  if (options.yes) {
+    return DEFAULT_SIGN_IN;
+  }
+
+  return ask({
+    type: "multiselect",
+    message: "How can users sign in?",
+    choices: choices.map((choice) => ({
+      title: signInMethods[choice].label,
+      value: choice,
+      selected: DEFAULT_SIGN_IN.includes(choice),
+    })),
+    min: 1,
+    instructions: false,
+  });
+}
+
+async function ask(question) {
+  const response = await prompts({ ...question, name: "value" });
+  if (response.value === undefined) {
+    console.log(chalk.red("Setup cancelled"));
+    process.exit(1);
+  }
+  return response.value;
+}
@@ -0,0 +1,493 @@
+import chalk from "chalk";
+import fs from "fs-extra";
+import { builtinModules } from "module";
+import path from "path";
+import { MANIFEST_DIR } from "./manifest.js";
+import { exitWithError } from "./options.js";
+import {
+  detectProjectPackageManager,
+  getAddCommand,
+} from "./packageManagers.js";
+
+const codeExtensions = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+//what an import without extension can point to, in the order Next.js tries them
+const resolvedExtensions = [...codeExtensions, ".d.ts", ".json"];
+//.saasstart holds copies of the generated files, they are checked where they are used
+const skippedDirs = [
+  "node_modules",
+  ".next",
+  ".git",
+  MANIFEST_DIR,
+  "out",
+  "build",
+  "dist",
+];
+
+//files that define env keys, .env.example only documents them
+const envFiles = [
+  ".env",
+  ".env.local",
+  ".env.development",
+  ".env.development.local",
+  ".env.production",
+  ".env.production.local",
+];
+//keys set by Node.js, Next.js or the hosting platform
+const platformKeys = ["NODE_ENV", "NEXT_RUNTIME", "NEXT_PHASE", "PORT", "CI"];
+//keys libraries read without the project code mentioning them
+const implicitKeys = [
+  "NEXTAUTH_URL",
+  "NEXTAUTH_SECRET",
+  "AUTH_SECRET",
+  "AUTH_URL",
+  "AUTH_TRUST_HOST",
+  //firebase-admin connects to the emulators when they are set
+  "FIRESTORE_EMULATOR_HOST",
+  "FIREBASE_AUTH_EMULATOR_HOST",
+];
+
+//statically check a project, nothing is run or written
+//returns { check, severity: "error" | "warning", file, line, message, fix }
+export async function checkProject(dir) {
+  const sources = await readSources(dir);
+  const problems = [
+    ...(await checkImports(dir, sources)),
+    ...(await checkRoutes(dir, sources)),
+    ...(await checkEnv(dir, sources)),
+  ];
+  return problems;
+}
+
+//create-your-saas doctor [dir]
+export async function runDoctor(options) {
+  const dir = path.resolve(options.dir);
+  if (!(await fs.pathExists(path.join(dir, "package.json")))) {
+    exitWithError(`No package.json in ${dir}, not a project`);
+  }
+
+  const problems = await checkProject(dir);
+  const titles = {
+    imports: "Imports",
+    routes: "Routes",
+    env: "Environment variables",
+  };
+  for (const [check, title] of Object.entries(titles)) {
+    const found = problems.filter((problem) => problem.check === check);
+    console.log(
+      `\n${chalk.bold(title)} ${
+        found.length === 0 ? chalk.green("ok") : chalk.dim(`(${found.length})`)
+      }`
+    );
+    for (const problem of found) {
+      const color = problem.severity === "error" ? chalk.red : chalk.yellow;
+      const location = problem.line
+        ? `${problem.file}:${problem.line}`
+        : problem.file;
+      console.log(
+        `  ${color(problem.severity)} ${location} ${problem.message}`
+      );
+      if (problem.fix) {
+        console.log(chalk.dim(`        fix: ${problem.fix}`));
+      }
+    }
+  }
+
+  const errors = problems.filter(({ severity }) => severity === "error");
+  const warnings = problems.length - errors.length;
+  console.log(`\n${errors.length} error(s), ${warnings} warning(s) in ${dir}`);
+  if (errors.length > 0) {
+    process.exit(1);
+  }
+}
+
+//every code file of the project, relative path -> content
+async function readSources(dir) {
+  const sources = new Map();
+  for (const file of await listFiles(dir)) {
+    if (
+      codeExtensions.includes(path.extname(file)) ||
+      file.endsWith(".prisma")
+    ) {
+      const content = await fs.readFile(path.join(dir, file), "utf8");
+      sources.set(file, removeComments(content));
+    }
+  }
+  return sources;
+}
+
+//commented out code is not checked, e.g. /** @type {import('postcss-load-config').Config} */
+//comments are blanked instead of removed so the line numbers stay right
+function removeComments(content) {
+  return content.replace(
+    /\/\*[\s\S]*?\*\/|(^|[^:"'`\\])\/\/.*$/gm,
+    (comment, before = "") =>
+      before + comment.slice(before.length).replace(/[^\n]/g, " ")
+  );
+}
+
+async function listFiles(dir, relativeDir = "") {
+  const files = [];
+  const entries = await fs.readdir(path.join(dir, relativeDir), {
+    withFileTypes: true,
+  });
+  for (const entry of entries) {
+    const file = path.join(relativeDir, entry.name);
+    if (entry.isDirectory()) {
+      if (!skippedDirs.includes(entry.name)) {
+        files.push(...(await listFiles(dir, file)));
+      }
+    } else {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+//every match of the regexps in the sources, with its line
+function findAll(sources, regexps) {
+  const matches = [];
+  for (const [file, content] of sources) {
+    for (const regexp of regexps) {
+      for (const match of content.matchAll(regexp)) {
+        matches.push({
+          file,
+          line: content.slice(0, match.index).split("\n").length,
+          value: match[1],
+        });
+      }
+    }
+  }
+  return matches;
+}
+
+//relative and aliased imports must point to a file with that exact name, packages must be dependencies
+async function checkImports(dir, sources) {
+  const imports = findAll(sources, [
+    /\b(?:import|export)\s+(?:type\s+)?(?:[\w*${}\s,]+?\s+from\s+)?["']([^"'\n]+)["']/g,
+    /\bimport\s*\(\s*["']([^"'\n]+)["']\s*\)/g,
+    /\brequire\s*\(\s*["']([^"'\n]+)["']\s*\)/g,
+  ]).filter(({ file }) => !file.endsWith(".prisma"));
+
+  const aliases = await readPathAliases(dir);
+  const packageJson = await fs.readJson(path.join(dir, "package.json"));
+  const installed = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+    ...packageJson.peerDependencies,
+  };
+  const packageManager = (await detectProjectPackageManager(dir)) ?? "npm";
+
+  const problems = [];
+  const missingPackages = new Set();
+  for (const { file, line, value } of imports) {
+    const target = resolveAlias(value, aliases) ?? value;
+    const isPath = target.startsWith(".") || path.isAbsolute(target);
+    if (!isPath) {
+      const name = getPackageName(target);
+      if (
+        !name ||
+        name in installed ||
+        builtinModules.includes(name) ||
+        missingPackages.has(name)
+      ) {
+        continue;
+      }
+      missingPackages.add(name);
+      problems.push({
+        check: "imports",
+        severity: "error",
+        file,
+        line,
+        message: `imports "${value}" but ${name} is not a dependency`,
+        fix: getAddCommand(packageManager, [name]),
+      });
+      continue;
+    }
+
+    const base = target.startsWith(".")
+      ? path.join(path.dirname(file), target)
+      : path.relative(dir, target);
+    const resolved = await resolveImport(dir, base);
+    if (resolved.found) {
+      continue;
+    }
+    problems.push({
+      check: "imports",
+      severity: "error",
+      file,
+      line,
+      message: resolved.casing
+        ? `imports "${value}" but the file is ${resolved.casing}, imports are case-sensitive on Linux`
+        : `imports "${value}" but no such file exists`,
+      fix: resolved.casing
+        ? `import from "${fixImportCasing(value, resolved.casing)}"`
+        : undefined,
+    });
+  }
+  return problems;
+}
+
+//tsconfig.json paths, e.g. { "@/*": ["./*"] }
+async function readPathAliases(dir) {
+  let tsconfig;
+  try {
+    //tsconfig.json may contain comments and trailing commas
+    const content = await fs.readFile(path.join(dir, "tsconfig.json"), "utf8");
+    tsconfig = JSON.parse(
+      content.replace(/^\s*\/\/.*$/gm, "").replace(/,(\s*[}\]])/g, "$1")
+    );
+  } catch {
+    return {};
+  }
+  const { baseUrl = ".", paths = {} } = tsconfig.compilerOptions ?? {};
+  return Object.fromEntries(
+    Object.entries(paths).map(([alias, [target]]) => [
+      alias,
+      path.join(dir, baseUrl, target),
+    ])
+  );
+}
+
+function resolveAlias(value, aliases) {
+  for (const [alias, target] of Object.entries(aliases)) {
+    const prefix = alias.replace(/\*$/, "");
+    if (alias.endsWith("*") ? value.startsWith(prefix) : value === alias) {
+      return target.replace(/\*$/, "") + value.slice(prefix.length);
+    }
+  }
+  return undefined;
+}
+
+//@scope/name/sub -> @scope/name, name/sub -> name
+function getPackageName(value) {
+  if (value.startsWith("node:")) {
+    return undefined;
+  }
+  const parts = value.split("/");
+  return value.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+//found, or the file that only differs by case
+async function resolveImport(dir, base) {
+  const candidates = [
+    base,
+    ...resolvedExtensions.map((extension) => `${base}${extension}`),
+    ...resolvedExtensions.map((extension) =>
+      path.join(base, `index${extension}`)
+    ),
+  ];
+  let casing;
+  for (const candidate of candidates) {
+    const parent = path.join(dir, path.dirname(candidate));
+    if (!(await fs.pathExists(parent))) {
+      continue;
+    }
+    const name = path.basename(candidate);
+    const entries = await fs.readdir(parent, { withFileTypes: true });
+    const exact = entries.find((entry) => entry.name === name);
+    if (exact && (exact.isFile() || candidate !== base)) {
+      return { found: true };
+    }
+    const other = entries.find(
+      (entry) =>
+        entry.isFile() && entry.name.toLowerCase() === name.toLowerCase()
+    );
+    casing = casing ?? other?.name;
+  }
+  return { found: false, casing };
+}
+
+//./Portalbutton + PortalButton.tsx -> ./PortalButton
+function fixImportCasing(value, fileName) {
+  const parts = value.split("/");
+  const last = parts.pop();
+  const extension = path.extname(last) ? "" : path.extname(fileName);
+  return [...parts, fileName.slice(0, fileName.length - extension.length)].join(
+    "/"
+  );
+}
+
+//paths used in links, redirects and fetches must match a page, a route handler or a public file
+async function checkRoutes(dir, sources) {
+  const appDir = (await fs.pathExists(path.join(dir, "src", "app")))
+    ? path.join("src", "app")
+    : "app";
+  if (!(await fs.pathExists(path.join(dir, appDir)))) {
+    return [];
+  }
+
+  const routes = [];
+  for (const file of await listFiles(path.join(dir, appDir))) {
+    if (/^(page|route)\.(tsx?|jsx?)$/.test(path.basename(file))) {
+      routes.push({
+        file: path.join(appDir, file),
+        segments: path
+          .dirname(file)
+          .split(path.sep)
+          //route groups and parallel routes are not part of the URL
+          .filter(
+            (segment) =>
+              segment !== "." &&
+              !/^\(.*\)$/.test(segment) &&
+              !segment.startsWith("@")
+          ),
+      });
+    }
+  }
+  const publicDir = path.join(dir, "public");
+  if (await fs.pathExists(publicDir)) {
+    for (const file of await listFiles(publicDir)) {
+      routes.push({
+        file: path.join("public", file),
+        segments: file.split(path.sep),
+      });
+    }
+  }
+
+  const references = findAll(sources, [
+    //`${origin}/auth/callback`, `${window.location.origin}/`, `${request.headers.get("origin")}/`
+    //other interpolations, e.g. `${process.env.API_URL}/v1`, can be another host
+    /\$\{\s*(?:(?:[\w$]+\??\.)*origin|[\w$.]+\.get\(\s*["']origin["']\s*\))\s*\}(\/[\w\-./]*)/g,
+    //fetch("/api/stripe"), router.push("/"), redirect("/login")
+    /\b(?:fetch|push|replace|redirect|prefetch)\(\s*["'`](\/[\w\-./]*)/g,
+    //href="/pricing", href: "/pricing"
+    /\bhref\s*[=:]\s*\{?\s*["'`](\/[\w\-./]*)/g,
+  ]).filter(({ value }) => !value.startsWith("//"));
+
+  const problems = [];
+  for (const { file, line, value } of references) {
+    const segments = value.split("/").filter(Boolean);
+    if (routes.some((route) => matchRoute(route.segments, segments))) {
+      continue;
+    }
+
+    //a route with the same last segment was probably written to the wrong directory
+    const moved = routes.find(
+      (route) =>
+        segments.length > 0 &&
+        route.segments.at(-1) === segments.at(-1) &&
+        !route.file.startsWith("public")
+    );
+    const expectedDir = path.join(appDir, ...segments);
+    problems.push({
+      check: "routes",
+      severity: "error",
+      file,
+      line,
+      message: `links to ${value} but no page or route handler serves it`,
+      fix: moved
+        ? `move ${moved.file} to ${path.join(
+            expectedDir,
+            path.basename(moved.file)
+          )}`
+        : `add ${path.join(expectedDir, "page.tsx")} or ${path.join(
+            expectedDir,
+            "route.ts"
+          )}`,
+    });
+  }
+  return problems;
+}
+
+//[id] matches one segment, [...slug] the rest, [[...slug]] also nothing
+function matchRoute(routeSegments, segments) {
+  for (let index = 0; index < routeSegments.length; index++) {
+    const routeSegment = routeSegments[index];
+    if (/^\[\[\.\.\..+\]\]$/.test(routeSegment)) {
+      return true;
+    }
+    if (/^\[\.\.\..+\]$/.test(routeSegment)) {
+      return segments.length > index;
+    }
+    if (index >= segments.length) {
+      return false;
+    }
+    if (!/^\[.+\]$/.test(routeSegment) && routeSegment !== segments[index]) {
+      return false;
+    }
+  }
+  return routeSegments.length === segments.length;
+}
+
+//every key the code reads must be defined, every defined key should be read
+async function checkEnv(dir, sources) {
+  const defined = new Map();
+  for (const envFile of envFiles) {
+    const envPath = path.join(dir, envFile);
+    if (!(await fs.pathExists(envPath))) {
+      continue;
+    }
+    const lines = (await fs.readFile(envPath, "utf8")).split("\n");
+    lines.forEach((content, index) => {
+      const key = content.match(/^\s*(?:export\s+)?([A-Za-z0-9_]+)\s*=/)?.[1];
+      if (key && !defined.has(key)) {
+        defined.set(key, { file: envFile, line: index + 1 });
+      }
+    });
+  }
+
+  const references = findAll(sources, [
+    /\bprocess\.env\.([A-Za-z_][A-Za-z0-9_]*)/g,
+    /\bprocess\.env\[\s*["']([A-Za-z0-9_]+)["']\s*\]/g,
+    //prisma schema: url = env("DATABASE_URL")
+    /\benv\(\s*"([A-Za-z0-9_]+)"\s*\)/g,
+  ]).filter(({ value }) => !platformKeys.includes(value));
+  const referenced = new Set(references.map(({ value }) => value));
+
+  const problems = [];
+  const renamed = new Set();
+  const reported = new Set();
+  for (const { file, line, value } of references) {
+    if (defined.has(value) || reported.has(value)) {
+      continue;
+    }
+    reported.add(value);
+
+    //NEXT_PUBLIC_ added on one side only
+    const similar = [...defined.keys()].find(
+      (key) =>
+        !referenced.has(key) &&
+        (key === `NEXT_PUBLIC_${value}` || value === `NEXT_PUBLIC_${key}`)
+    );
+    if (similar) {
+      renamed.add(similar);
+      const { file: envFile } = defined.get(similar);
+      problems.push({
+        check: "env",
+        severity: "error",
+        file,
+        line,
+        message: `reads ${value} but ${envFile} defines ${similar}`,
+        fix: `read process.env.${similar}${
+          similar.startsWith("NEXT_PUBLIC_")
+            ? ", keys used in the browser need the NEXT_PUBLIC_ prefix"
+            : ""
+        }`,
+      });
+      continue;
+    }
+    problems.push({
+      check: "env",
+      severity: "error",
+      file,
+      line,
+      message: `reads ${value} but no env file defines it`,
+      fix: `add ${value}= to .env.local`,
+    });
+  }
+
+  for (const [key, { file, line }] of defined) {
+    if (referenced.has(key) || renamed.has(key) || implicitKeys.includes(key)) {
+      continue;
+    }
+    problems.push({
+      check: "env",
+      severity: "warning",
+      file,
+      line,
+      message: `defines ${key} but no code reads it`,
+      fix: `remove ${key} from ${file}`,
+    });
+  }
+  return problems;
+}
@@ -0,0 +1,249 @@
+import chalk from "chalk";
+import { execa, execaCommand } from "execa";
+import fs from "fs-extra";
+import path from "path";
+import {
+  configureAssests,
+  configureComponents,
+  configureConstants,
+  configureEnv,
+  configureRepositories,
+  configureSeed,
+  configureSignInPages,
+  configureSuccessandCancel,
+  replaceContents,
+} from "./generators/common.js";
+import { configureCompose } from "./generators/compose.js";
+import { cacheBaseTemplate, copyBaseTemplate } from "./baseTemplate.js";
+import { writeManifest } from "./manifest.js";
+import { getInstallCommands, getTemplateVersion } from "./packageManagers.js";
+import { configurePlugins, runPostInstallHooks } from "./plugins.js";
+import { DEFAULT_SIGN_IN, resolveProviders } from "./providers.js";
+
+//generators write through the project, a dry run only records the files
+//plugins -> loaded with loadPlugins, their prompts already answered
+export function createProject({
+  dir,
+  options,
+  recipe,
+  plugins = [],
+  dryRun = false,
+}) {
+  const project = {
+    dir,
+    //add and upgrade of projects from before sign-in methods could be chosen get Google
+    options: { signIn: DEFAULT_SIGN_IN, ...options },
+    recipe,
+    dryRun,
+    providers: resolveProviders(options),
+    plugins,
+    //relative path -> content of every file the generators wrote
+    files: new Map(),
+    //the project has docker-compose.yml, set by configureCompose
+    compose: false,
+    //package.json script name -> command, added by writeScripts
+    scripts: {},
+    async writeFile(file, content) {
+      project.files.set(path.relative(project.dir, file), content);
+      if (!project.dryRun) {
+        await fs.outputFile(file, content);
+      }
+    },
+  };
+  return project;
+}
+
+//build the project in a staging directory next to the target and move it in place
+//only when every step worked, so a failure never leaves a half-built project behind
+export async function scaffoldProject(project) {
+  const target = project.dir;
+  if (await fs.pathExists(target)) {
+    throw new Error(`${target} already exists`);
+  }
+
+  //same parent directory, so moving the project in place is a rename
+  await fs.ensureDir(path.dirname(target));
+  const stagingDir = await fs.mkdtemp(
+    path.join(path.dirname(target), `.saasstart-${path.basename(target)}-`)
+  );
+  project.dir = path.join(stagingDir, path.basename(target));
+
+  const rollback = () => {
+    if (project.options.keepOnError) {
+      console.log(
+        chalk.yellow(`Partial project kept for debugging in ${project.dir}`)
+      );
+    } else {
+      fs.removeSync(stagingDir);
+    }
+  };
+  const onInterrupt = () => {
+    rollback();
+    process.exit(130);
+  };
+  process.once("SIGINT", onInterrupt);
+
+  try {
+    console.log("Creating Next app");
+    if (project.options.offline) {
+      await copyBaseTemplate(path.basename(target), { cwd: stagingDir });
+    } else {
+      await createNextApp(path.basename(target), {
+        cwd: stagingDir,
+        packageManager: project.options.packageManager,
+      });
+      await cacheBaseTemplate(project.dir);
+    }
+    console.log("Next app created Successfully");
+
+    console.log("Installing additional dependencies...");
+    await installDependencies(project);
+    console.log(chalk.green("Dependencies installed successfully"));
+
+    console.log("Configuring project...");
+    await configureProject(project);
+    await writeScripts(project);
+
+    await runPostInstallHooks(project);
+
+    await writeManifest(project, project.files, target);
+
+    await fs.move(project.dir, target);
+    project.dir = target;
+    await fs.remove(stagingDir);
+  } catch (error) {
+    rollback();
+    throw error;
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+  }
+}
+
+//skipInstall -> only the files are needed, e.g. to diff against them
+export async function createNextApp(
+  projectName,
+  { cwd = process.cwd(), skipInstall = false, packageManager = "npm" } = {}
+) {
+  const args = [
+    //create-next-app installs the Next.js of its own version
+    `create-next-app@${getTemplateVersion("next")}`,
+    projectName,
+    "--typescript",
+    "--tailwind",
+    "--eslint",
+    "--app",
+    "--no-src-dir",
+    "--no-import-alias",
+    `--use-${packageManager}`,
+  ];
+  if (skipInstall) {
+    args.push("--skip-install");
+  }
+  await execa("npx", args, {
+    cwd,
+    stdio: "inherit",
+    timeout: 300000,
+  });
+}
+
+//install what every chosen provider and plugin needs, one run for the dependencies and one for the devDependencies
+export async function installDependencies(project) {
+  const commands = getInstallCommands(
+    project.options.packageManager ?? "npm",
+    {
+      dependencies: getDependencies(project),
+      devDependencies: getDevDependencies(project),
+    },
+    { offline: project.options.offline }
+  );
+  for (const command of commands) {
+    await execaCommand(command, { cwd: project.dir });
+  }
+}
+
+export function getDependencies(project) {
+  const dependencies = new Set([
+    ...[...Object.values(project.providers), ...project.plugins].flatMap(
+      (provider) => provider.dependencies
+    ),
+    ...project.options.signIn.flatMap(
+      (method) => project.providers.auth.signIn[method]
+    ),
+  ]);
+  return [...dependencies];
+}
+
+export function getDevDependencies(project) {
+  return [
+    ...new Set(
+      Object.values(project.providers).flatMap(
+        (provider) => provider.devDependencies ?? []
+      )
+    ),
+  ];
+}
+
+//the scripts the generators asked for that package.json does not have yet
+export function getMissingScripts(project, packageJson) {
+  return Object.fromEntries(
+    Object.entries(project.scripts).filter(
+      ([name]) => !(name in (packageJson.scripts ?? {}))
+    )
+  );
+}
+
+//add the scripts of the generators to package.json, scripts with the same name are kept
+export async function writeScripts(project) {
+  const packagePath = path.join(project.dir, "package.json");
+  const packageJson = await fs.readJson(packagePath);
+  const scripts = getMissingScripts(project, packageJson);
+  if (Object.keys(scripts).length > 0) {
+    await fs.writeJson(
+      packagePath,
+      { ...packageJson, scripts: { ...packageJson.scripts, ...scripts } },
+      { spaces: 2 }
+    );
+  }
+  return scripts;
+}
+
+export async function configureProject(project) {
+  const { db, auth, payments, email } = project.providers;
+
+  //configure local services, first so the other files point at them
+  await configureCompose(project);
+
+  //Configure your database and auth
+  await db.configure(project);
+  await auth.configure(project);
+  await configureSignInPages(project);
+  await configureRepositories(project);
+  await configureSeed(project);
+
+  //configure payments
+  await payments.configure(project);
+
+  //configure email
+  await email.configure(project);
+
+  //configure Constants
+  await configureConstants(project);
+
+  //configure success page
+  await configureSuccessandCancel(project);
+
+  //configure components
+  await configureComponents(project);
+
+  //configure already present files
+  await replaceContents(project);
+
+  //configure ENV variables
+  await configureEnv(project);
+
+  //configure Assests
+  await configureAssests(project);
+
+  //configure plugins, last so they can replace the built-in files
+  await configurePlugins(project);
+}
@@ -0,0 +1,155 @@
+import chalk from "chalk";
+import path from "path";
+import { getExecCommand } from "../packageManagers.js";
+import { getPluginENVBlocks } from "../plugins.js";
+import { renderTemplate, writeTemplates } from "../templates.js";
+
+export async function configureAssests(project) {
+  await writeTemplates(project, ["app/assests/verified.tsx"]);
+}
+
+export async function configureEnv(project) {
+  const replaceENVvalue = await getENVContent(project);
+  await project.writeFile(
+    path.join(project.dir, ".env.local"),
+    replaceENVvalue
+  );
+}
+
+//every provider adds its own block of keys, values come from the recipe and replace the ones of the templates
+//kinds -> only the blocks of these providers, without the extra recipe keys
+export async function getENVContent(project, kinds) {
+  const values = { ...project.recipe.env };
+
+  const blocks = [];
+  for (const kind of kinds ?? ["payments", "email", "db", "auth"]) {
+    const provider = project.providers[kind];
+    if (provider.env) {
+      blocks.push(await renderTemplate(project, provider.env));
+    }
+  }
+  if (!kinds) {
+    blocks.push(...getPluginENVBlocks(project));
+  }
+  const content = blocks
+    .join("\n")
+    .replace(/^([A-Z0-9_]+)=.*$/gm, (line, key) => {
+      if (!(key in values)) return line;
+      const value = values[key];
+      delete values[key];
+      return `${key}=${value}`;
+    });
+
+  //keys of the recipe that no provider asked for
+  const extraKeys = Object.keys(values);
+  if (kinds || extraKeys.length === 0) {
+    return content;
+  }
+  return `${content}
+#Other keys
+${extraKeys.map((key) => `${key}=${values[key]}`).join("\n")}
+`;
+}
+
+//append the keys of content that the existing env file does not define yet, existing values are kept
+export function mergeENVContent(existing, content) {
+  const definedKeys = new Set(
+    [...existing.matchAll(/^\s*([A-Za-z0-9_]+)\s*=/gm)].map((match) => match[1])
+  );
+
+  //blocks are separated by a blank line and start with a #comment
+  const blocks = content
+    .split(/\n\s*\n/)
+    .map((block) =>
+      block.split("\n").filter((line) => {
+        const key = line.match(/^([A-Za-z0-9_]+)=/)?.[1];
+        return line.trim() && (!key || !definedKeys.has(key));
+      })
+    )
+    .filter((lines) => lines.some((line) => !line.startsWith("#")));
+
+  if (blocks.length === 0) {
+    return existing;
+  }
+  const separator =
+    existing === "" ? "" : existing.endsWith("\n") ? "\n" : "\n\n";
+  return `${existing}${separator}${blocks
+    .map((lines) => lines.join("\n"))
+    .join("\n\n")}\n`;
+}
+
+export async function replaceContents(project) {
+  for (const file of ["app/page.tsx", "app/globals.css", "app/layout.tsx"]) {
+    await replaceInFile(project, file);
+  }
+}
+
+async function replaceInFile(project, file) {
+  const fileToModify = path.join(project.dir, file);
+  try {
+    await writeTemplates(project, [file]);
+    if (!project.dryRun) {
+      console.log(
+        chalk.green(`Successfully replaced contents of ${fileToModify}`)
+      );
+    }
+  } catch (error) {
+    console.error(
+      chalk.red(`Error replacing contents of ${fileToModify}:`),
+      error
+    );
+  }
+}
+
+export async function configureComponents(project) {
+  await writeTemplates(project, [
+    "app/components/Footer.tsx",
+    "app/components/Home.tsx",
+    "app/components/Testimonials.tsx",
+    "app/components/VideoDemo.tsx",
+    "app/components/Availableservices.tsx",
+    "app/components/Landingpage.tsx",
+  ]);
+}
+
+export async function configureSuccessandCancel(project) {
+  await writeTemplates(project, [
+    "app/success/page.tsx",
+    "app/cancel/page.tsx",
+  ]);
+}
+
+//the interface every database implements, the implementation is written by the database generator
+export async function configureRepositories(project) {
+  await writeTemplates(project, [
+    "lib/repositories/types.ts",
+    "lib/repositories/index.ts",
+  ]);
+}
+
+//the email sign-in methods have their own pages, Google alone signs in from the Navbar
+export async function configureSignInPages(project) {
+  const { signIn } = project.options;
+  const pages = [];
+  if (signIn.some((method) => method !== "google")) {
+    pages.push("app/sign-in/page.tsx", "app/verify-email/page.tsx");
+  }
+  if (signIn.includes("password")) {
+    pages.push("app/sign-up/page.tsx", "app/forgot-password/page.tsx");
+  }
+  await writeTemplates(project, pages);
+}
+
+//demo users in every plan state, tsx (a devDependency of the database) runs the script without a build
+//scripts/env.ts loads .env.local with dotenv, node --env-file needs Node 20.6
+export async function configureSeed(project) {
+  await writeTemplates(project, ["scripts/env.ts", "scripts/seed.ts"]);
+  project.scripts.seed = getExecCommand(
+    project.options.packageManager ?? "npm",
+    "tsx scripts/seed.ts"
+  );
+}
+
+export async function configureConstants(project) {
+  await writeTemplates(project, ["app/constants/Constants.ts"]);
+}
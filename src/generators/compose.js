@@ -0,0 +1,20 @@
+import { getExecCommand } from "../packageManagers.js";
+import { writeTemplates } from "../templates.js";
+
+//one command starts everything the app talks to, Supabase runs its own containers with the Supabase CLI
+export async function configureCompose(project) {
+  if (!project.providers.db.compose) {
+    return;
+  }
+  //the templates of the other generators read it, configureProject runs this first
+  project.compose = true;
+  await writeTemplates(project, ["docker-compose.yml"]);
+  //the Supabase CLI is a devDependency of Supabase projects
+  project.scripts.services =
+    project.options.db === "supabase"
+      ? `${getExecCommand(
+          project.options.packageManager ?? "npm",
+          "supabase start"
+        )} && docker compose up -d`
+      : "docker compose up -d";
+}
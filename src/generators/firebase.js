@@ -0,0 +1,32 @@
+import { getExecCommand } from "../packageManagers.js";
+import { writeTemplates } from "../templates.js";
+
+export async function configureFirebaseDatabase(project) {
+  await writeTemplates(project, [
+    "lib/database.ts",
+    "lib/firebase-admin.ts",
+    "firebase.json",
+    "firestore.rules",
+    "firestore.indexes.json",
+    "lib/repositories/firebase.ts",
+  ]);
+  if (project.recipe.firebase.emulators) {
+    //firebase-tools is a devDependency, no global install needed, the emulators need Java
+    project.scripts.emulators = getExecCommand(
+      project.options.packageManager ?? "npm",
+      "firebase emulators:start --project demo-project"
+    );
+  }
+}
+
+export async function configureFirebaseAuth(project) {
+  await writeTemplates(project, [
+    "lib/auth.ts",
+    "app/components/Navbar.tsx",
+    "app/components/Pricing.tsx",
+    "app/pricing/pricingAction.ts",
+  ]);
+  if (project.options.signIn.includes("google")) {
+    await writeTemplates(project, ["app/api/auth/route.ts"]);
+  }
+}
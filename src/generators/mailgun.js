@@ -0,0 +1,5 @@
+import { writeTemplates } from "../templates.js";
+
+export async function configureMailgun(project) {
+  await writeTemplates(project, ["lib/mailgun.ts"]);
+}
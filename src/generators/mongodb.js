@@ -0,0 +1,23 @@
+import { writeTemplates } from "../templates.js";
+
+export async function configureMongoDatabase(project) {
+  await writeTemplates(project, [
+    "lib/database.ts",
+    "models/User.ts",
+    "models/Payment.ts",
+    "lib/repositories/mongodb.ts",
+  ]);
+}
+
+export async function configureNextAuth(project) {
+  await writeTemplates(project, [
+    "lib/auth.ts",
+    "app/api/auth/[...nextauth]/route.ts",
+    "types/next-auth.d.ts",
+    "app/components/AuthProvider.tsx",
+    "app/components/Navbar.tsx",
+    "app/components/Pricing.tsx",
+    "app/components/PortalButton.tsx",
+    "app/portal/portalAction.ts",
+  ]);
+}
@@ -0,0 +1,11 @@
+import { writeTemplates } from "../templates.js";
+
+export async function configurePostgresDatabase(project) {
+  await writeTemplates(project, [
+    "lib/database.ts",
+    "prisma/schema.prisma",
+    "prisma/migrations/migration_lock.toml",
+    "prisma/migrations/20241019000000_init/migration.sql",
+    "lib/repositories/postgres.ts",
+  ]);
+}
@@ -0,0 +1,13 @@
+import { writeTemplates } from "../templates.js";
+
+export async function configureSqliteDatabase(project) {
+  await writeTemplates(project, [
+    "lib/database.ts",
+    "lib/schema.ts",
+    "drizzle.config.ts",
+    "drizzle/0000_init.sql",
+    "drizzle/meta/_journal.json",
+    "drizzle/meta/0000_snapshot.json",
+    "lib/repositories/sqlite.ts",
+  ]);
+}
@@ -0,0 +1,10 @@
+import { writeTemplates } from "../templates.js";
+
+//the checkout and webhook routes persist the purchase, their templates depend on the database
+export async function configureStripe(project) {
+  await writeTemplates(project, [
+    "lib/stripe.ts",
+    "app/api/stripe/route.ts",
+    "app/api/stripe/webhook/route.ts",
+  ]);
+}
@@ -0,0 +1,27 @@
+import { writeTemplates } from "../templates.js";
+
+export async function configureSupabaseDatabase(project) {
+  await writeTemplates(project, [
+    "lib/database.ts",
+    "utils/supabase/client.ts",
+    "utils/supabase/middleware.ts",
+    "utils/supabase/server.ts",
+    "supabase/config.toml",
+    "supabase/migrations/20241019000000_create_users.sql",
+    "supabase/migrations/20241020000000_create_payments.sql",
+    "lib/repositories/supabase.ts",
+  ]);
+}
+
+export async function configureSupabaseAuth(project) {
+  await writeTemplates(project, [
+    "lib/auth.ts",
+    "app/auth/callback/route.ts",
+    "app/auth/auth-code-error/page.tsx",
+    "app/components/Navbar.tsx",
+    "app/components/Pricing.tsx",
+    "app/components/PortalButton.tsx",
+    "app/portal/portalAction.ts",
+    "app/pricing/pricingAction.ts",
+  ]);
+}
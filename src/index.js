@@ -0,0 +1,153 @@
+import path from "path";
+import {
+  createProject,
+  getDependencies,
+  getDevDependencies,
+  scaffoldProject,
+} from "./generate.js";
+import { validateOptions } from "./options.js";
+import { validateOffline } from "./packageManagers.js";
+import { planProject } from "./plan.js";
+import { loadPlugins } from "./plugins.js";
+import {
+  DEFAULT_SIGN_IN,
+  getSupportedOptions,
+  providers,
+} from "./providers.js";
+import { resolveRecipe } from "./recipe.js";
+
+export { checkProject } from "./doctor.js";
+export { getSupportedOptions } from "./providers.js";
+export { upgradeProject } from "./upgrade.js";
+
+//create a project from code, nothing is asked and errors are thrown
+//  const { files, env } = await createSaaS({ name: "my-app", providers: { db: "supabase" } });
+//dir -> directory the project is created in, providers -> { db, auth, payments, email }, missing ones get the default
+//recipe -> same content as saasstart.config.json, plugins -> npm packages, local paths or plugins from loadPlugins
+//signIn -> sign-in methods, e.g. ["google", "magic-link"], default: the signIn of the recipe or Google
+//name, providers, packageManager, plugins and signIn that are not passed come from the recipe, like with the CLI
+export async function createSaaS({
+  name,
+  dir = process.cwd(),
+  providers: chosen = {},
+  recipe: recipeInput = {},
+  plugins,
+  packageManager,
+  signIn,
+  offline = false,
+  dryRun = false,
+  diff = false,
+  keepOnError = false,
+} = {}) {
+  const source = "createSaaS()";
+  const supported = getSupportedOptions();
+  const recipe = resolveRecipe(recipeInput, `passed to ${source}`);
+  for (const [from, kinds] of [
+    [source, chosen],
+    [`the recipe passed to ${source}`, recipe.providers],
+  ]) {
+    for (const kind of Object.keys(kinds)) {
+      if (!(kind in supported)) {
+        throw new Error(
+          `Unknown provider "${kind}" in ${from}. Expected one of: ${Object.keys(
+            supported
+          ).join(", ")}`
+        );
+      }
+    }
+  }
+
+  //arguments win over the recipe
+  const options = {
+    name: name ?? recipe.name,
+    packageManager: packageManager ?? recipe.packageManager ?? "npm",
+    signIn: signIn ?? recipe.signIn,
+    offline,
+    //diff only makes sense without writing anything
+    dryRun: dryRun || diff,
+    diff,
+    keepOnError,
+    ...Object.fromEntries(
+      Object.keys(supported).map((kind) => [
+        kind,
+        chosen[kind] ?? recipe.providers[kind],
+      ])
+    ),
+  };
+  if (options.name === undefined) {
+    throw new Error(`"name" is required by ${source}`);
+  }
+  await validateOptions(options, supported, source);
+  if (offline) {
+    validateOffline(options.packageManager);
+  }
+  options.db = options.db ?? supported.db[0];
+  options.auth = options.auth ?? providers.db[options.db].auth[0];
+  if (!providers.db[options.db].auth.includes(options.auth)) {
+    throw new Error(
+      `auth "${options.auth}" cannot be used with db "${
+        options.db
+      }". Expected one of: ${providers.db[options.db].auth.join(", ")}`
+    );
+  }
+  for (const kind of Object.keys(supported)) {
+    options[kind] = options[kind] ?? supported[kind][0];
+  }
+  options.signIn = options.signIn ?? DEFAULT_SIGN_IN;
+  const signInChoices = Object.keys(providers.auth[options.auth].signIn);
+  const unsupported = options.signIn.filter(
+    (method) => !signInChoices.includes(method)
+  );
+  if (unsupported.length > 0) {
+    throw new Error(
+      `signIn "${unsupported.join(",")}" cannot be used with auth "${
+        options.auth
+      }". Expected a list of: ${signInChoices.join(", ")}`
+    );
+  }
+
+  //plugins that were not answered use the initial value of their prompts
+  const loadedPlugins = [];
+  for (const plugin of plugins ?? recipe.plugins) {
+    loadedPlugins.push(
+      ...(typeof plugin === "string" ? await loadPlugins([plugin]) : [plugin])
+    );
+  }
+  for (const plugin of loadedPlugins) {
+    for (const question of plugin.prompts) {
+      plugin.answers[question.name] ??= question.initial;
+    }
+  }
+
+  const project = createProject({
+    dir: path.resolve(dir, options.name),
+    options,
+    recipe,
+    plugins: loadedPlugins,
+    dryRun: options.dryRun,
+  });
+  if (options.dryRun) {
+    await planProject(project);
+  } else {
+    await scaffoldProject(project);
+  }
+  return getResult(project);
+}
+
+//what was written, dry runs return what would have been written
+function getResult(project) {
+  const env = project.files.get(".env.local") ?? "";
+  return {
+    dir: project.dir,
+    providers: Object.fromEntries(
+      Object.keys(project.providers).map((kind) => [
+        kind,
+        project.options[kind],
+      ])
+    ),
+    files: [...project.files.keys()].sort(),
+    env: [...env.matchAll(/^([A-Za-z0-9_]+)=/gm)].map((match) => match[1]),
+    dependencies: getDependencies(project),
+    devDependencies: getDevDependencies(project),
+  };
+}
@@ -0,0 +1,97 @@
+import { createHash } from "crypto";
+import fs from "fs-extra";
+import path from "path";
+import { getProjectSpec } from "./plugins.js";
+
+//kept in the project and meant to be committed, upgrade needs it to merge newer templates
+export const MANIFEST_DIR = ".saasstart";
+export const MANIFEST_FILE = path.join(MANIFEST_DIR, "manifest.json");
+//the generated content of every file, the common ancestor of the three-way merge
+const baseDir = path.join(MANIFEST_DIR, "base");
+
+//holds the keys the user filled in, upgrade merges the keys instead
+const untrackedFiles = [".env.local"];
+
+export const templateVersion = fs.readJsonSync(
+  new URL("../package.json", import.meta.url)
+).version;
+
+export function hashContent(content) {
+  return `sha256-${createHash("sha256").update(content).digest("hex")}`;
+}
+
+//record what the generators wrote, so upgrade can tell the user's changes from the template ones
+//files -> relative path -> generated content, project.files unless upgrade has merged them
+//finalDir -> where the project ends up, a new project is written in a staging directory first
+export async function writeManifest(
+  project,
+  files = project.files,
+  finalDir = project.dir
+) {
+  const tracked = [...files.keys()]
+    .filter((file) => !untrackedFiles.includes(file))
+    .sort();
+
+  await fs.remove(path.join(project.dir, baseDir));
+  for (const file of tracked) {
+    await fs.outputFile(path.join(project.dir, baseDir, file), files.get(file));
+  }
+
+  const { name, packageManager, db, auth, payments, email, signIn } =
+    project.options;
+  await fs.outputJson(
+    path.join(project.dir, MANIFEST_FILE),
+    {
+      templateVersion,
+      options: { name, packageManager, db, auth, payments, email, signIn },
+      recipe: project.recipe,
+      //plugins passed as objects to createSaaS() have no spec and cannot be loaded again
+      plugins: project.plugins.map(({ name, spec, answers }) => ({
+        name,
+        spec: getProjectSpec(spec, finalDir),
+        answers,
+      })),
+      files: Object.fromEntries(
+        tracked.map((file) => [file, hashContent(files.get(file))])
+      ),
+    },
+    { spaces: 2 }
+  );
+}
+
+export async function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!(await fs.pathExists(manifestPath))) {
+    throw new Error(
+      `No ${MANIFEST_FILE} in ${dir}, upgrade only works with projects created by saasstart ${templateVersion} or later`
+    );
+  }
+  try {
+    return await fs.readJson(manifestPath);
+  } catch (error) {
+    throw new Error(`Invalid ${MANIFEST_FILE}: ${error.message}`);
+  }
+}
+
+//the content a file had when it was generated, undefined when it is not tracked
+//a missing base copy is only recoverable when the file is unchanged
+export async function readBaseContent(dir, manifest, file, current) {
+  const hash = manifest.files[file];
+  if (!hash) {
+    return undefined;
+  }
+  const basePath = path.join(dir, baseDir, file);
+  if (await fs.pathExists(basePath)) {
+    const content = await fs.readFile(basePath, "utf8");
+    if (hashContent(content) === hash) {
+      return content;
+    }
+  }
+  return current !== undefined && hashContent(current) === hash
+    ? current
+    : undefined;
+}
+
+export function isTracked(file) {
+  return !untrackedFiles.includes(file);
+}
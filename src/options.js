@@ -0,0 +1,333 @@
+import chalk from "chalk";
+import { parseArgs } from "util";
+import { packageManagers } from "./packageManagers.js";
+import { signInMethods } from "./providers.js";
+
+const flags = {
+  name: { type: "string", short: "n" },
+  db: { type: "string" },
+  auth: { type: "string" },
+  payments: { type: "string" },
+  email: { type: "string" },
+  "sign-in": { type: "string" },
+  emulators: { type: "boolean" },
+  config: { type: "string", short: "c" },
+  plugin: { type: "string", short: "p", multiple: true },
+  "package-manager": { type: "string" },
+  "dry-run": { type: "boolean" },
+  diff: { type: "boolean" },
+  "keep-on-error": { type: "boolean" },
+  offline: { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  help: { type: "boolean", short: "h" },
+};
+
+const addFlags = {
+  force: { type: "boolean", short: "f" },
+  "dry-run": { type: "boolean" },
+  config: { type: "string", short: "c" },
+  help: { type: "boolean", short: "h" },
+};
+
+const upgradeFlags = {
+  "dry-run": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const doctorFlags = {
+  help: { type: "boolean", short: "h" },
+};
+
+//parse the CLI flags before any prompt is shown
+//supported -> allowed values for every provider flag
+export async function parseOptions(argv, supported) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: flags, strict: true }));
+  } catch (error) {
+    exitWithError(`${error.message}. Run with --help to see the options.`);
+  }
+
+  if (values.help) {
+    console.log(getUsage(supported));
+    process.exit(0);
+  }
+
+  const options = {
+    name: values.name,
+    yes: Boolean(values.yes),
+    config: values.config,
+    plugins: values.plugin ?? [],
+    packageManager: values["package-manager"],
+    //--sign-in password,magic-link
+    signIn: values["sign-in"]?.split(",").map((method) => method.trim()),
+    //undefined -> the recipe decides or the CLI asks
+    emulators: values.emulators,
+    //--diff only makes sense without writing anything
+    dryRun: Boolean(values["dry-run"] || values.diff),
+    diff: Boolean(values.diff),
+    keepOnError: Boolean(values["keep-on-error"]),
+    offline: Boolean(values.offline),
+  };
+  for (const key of Object.keys(supported)) {
+    options[key] = values[key];
+  }
+  try {
+    await validateOptions(options, supported);
+  } catch (error) {
+    exitWithError(error.message);
+  }
+
+  return options;
+}
+
+//flags of: create-your-saas add <feature>
+export function parseAddOptions(argv, features) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: addFlags,
+      allowPositionals: true,
+      strict: true,
+    }));
+  } catch (error) {
+    exitWithError(`${error.message}. Run with --help to see the options.`);
+  }
+
+  if (values.help) {
+    console.log(getAddUsage(features));
+    process.exit(0);
+  }
+
+  if (positionals.length !== 1) {
+    exitWithError(
+      `Expected exactly one feature: create-your-saas add ${features.join("|")}`
+    );
+  }
+  const [feature] = positionals;
+  if (!features.includes(feature)) {
+    exitWithError(
+      `Unknown feature "${feature}". Expected one of: ${features.join(", ")}`
+    );
+  }
+
+  return {
+    feature,
+    force: Boolean(values.force),
+    dryRun: Boolean(values["dry-run"]),
+    config: values.config,
+  };
+}
+
+//flags of: create-your-saas upgrade
+export function parseUpgradeOptions(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: upgradeFlags,
+      strict: true,
+    }));
+  } catch (error) {
+    exitWithError(`${error.message}. Run with --help to see the options.`);
+  }
+
+  if (values.help) {
+    console.log(getUpgradeUsage());
+    process.exit(0);
+  }
+
+  return { dryRun: Boolean(values["dry-run"]) };
+}
+
+//flags of: create-your-saas doctor [dir]
+export function parseDoctorOptions(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: doctorFlags,
+      allowPositionals: true,
+      strict: true,
+    }));
+  } catch (error) {
+    exitWithError(`${error.message}. Run with --help to see the options.`);
+  }
+
+  if (values.help) {
+    console.log(getDoctorUsage());
+    process.exit(0);
+  }
+
+  if (positionals.length > 1) {
+    exitWithError(
+      "Expected at most one directory: create-your-saas doctor [dir]"
+    );
+  }
+
+  return { dir: positionals[0] ?? "." };
+}
+
+//check the name and provider values, source -> where they come from when not from flags
+//throws the first invalid value
+export async function validateOptions(options, supported, source) {
+  const label = (key) => (source ? `"${key}" in ${source}` : `--${key}`);
+
+  const { packageManager } = options;
+  if (packageManager !== undefined && !(packageManager in packageManagers)) {
+    throw new Error(
+      `Invalid value for ${
+        source ? label("packageManager") : "--package-manager"
+      } "${packageManager}". Expected one of: ${Object.keys(
+        packageManagers
+      ).join(", ")}`
+    );
+  }
+
+  const { signIn } = options;
+  if (signIn !== undefined) {
+    const methods = Array.isArray(signIn) ? signIn : [signIn];
+    if (
+      methods.length === 0 ||
+      methods.some((method) => !(method in signInMethods))
+    ) {
+      throw new Error(
+        `Invalid value for ${
+          source ? label("signIn") : "--sign-in"
+        } "${methods.join(",")}". Expected a list of: ${Object.keys(
+          signInMethods
+        ).join(", ")}`
+      );
+    }
+  }
+
+  if (options.name !== undefined) {
+    const valid =
+      typeof options.name === "string"
+        ? await validateProjectName(options.name)
+        : "Project name must be a string.";
+    if (valid !== true) {
+      throw new Error(
+        `Invalid value for ${label("name")} "${options.name}": ${valid}`
+      );
+    }
+  }
+
+  for (const key of Object.keys(supported)) {
+    const value = options[key];
+    if (value !== undefined && !supported[key].includes(value)) {
+      throw new Error(
+        `Invalid value for ${label(
+          key
+        )} "${value}". Expected one of: ${supported[key].join(", ")}`
+      );
+    }
+  }
+}
+
+//Check the project name
+export async function validateProjectName(name) {
+  // Check if name is empty
+  if (!name.trim()) {
+    return "Project name cannot be empty.";
+  }
+
+  // Check for uppercase letters
+  if (/[A-Z]/.test(name)) {
+    return "Project name cannot contain uppercase letters.";
+  }
+
+  // Check for spaces
+  if (/\s/.test(name)) {
+    return "Project name cannot contain spaces.";
+  }
+
+  // Check for valid characters (allowing only lowercase letters, numbers, hyphens, and underscores)
+  if (!/^[a-z0-9-_]+$/.test(name)) {
+    return "Project name can only contain lowercase letters, numbers, hyphens, and underscores.";
+  }
+
+  // Check if name starts with a number
+  if (/^[0-9]/.test(name)) {
+    return "Project name cannot start with a number.";
+  }
+
+  return true;
+}
+
+function getUsage(supported) {
+  const providerLines = Object.keys(supported)
+    .map(
+      (key) => `  --${`${key} <value>`.padEnd(18)}${supported[key].join(" | ")}`
+    )
+    .join("\n");
+
+  const packageManagerChoices = Object.keys(packageManagers).join(" | ");
+  const signInChoices = Object.keys(signInMethods).join(",");
+
+  return `Usage: create-your-saas [options]
+       create-your-saas add <feature> [options]
+       create-your-saas upgrade [options]
+       create-your-saas doctor [dir]
+
+Options:
+  -n, --name <name>   Name for your project
+${providerLines}
+  --sign-in <methods> ${signInChoices}, comma-separated, asked when not passed
+  --emulators         Use the Firebase Local Emulator Suite, asked with --db firebase
+  -c, --config <path> Recipe to use (default: saasstart.config.json)
+  -p, --plugin <name> Plugin to run, an npm package or a local path (repeatable)
+  --package-manager <value>
+                      ${packageManagerChoices}, asked when not detected
+  --dry-run           Print the files that would be written, without writing them
+  --diff              Dry run that also prints diffs against the create-next-app files
+  --keep-on-error     Keep the partially built project when a step fails
+  --offline           Use the cached Next app template and install from the local cache
+  -y, --yes           Use the defaults for everything that is not passed
+  -h, --help          Show this help`;
+}
+
+function getAddUsage(features) {
+  return `Usage: create-your-saas add <feature> [options]
+
+Adds a feature to the Next.js app in the current directory.
+
+Features: ${features.join(", ")}
+
+Options:
+  -f, --force         Overwrite existing files that differ
+  --dry-run           Print what would change, without writing it
+  -c, --config <path> Recipe to use (default: saasstart.config.json)
+  -h, --help          Show this help`;
+}
+
+function getUpgradeUsage() {
+  return `Usage: create-your-saas upgrade [options]
+
+Renders the templates of this version of saasstart with the choices recorded in
+.saasstart/manifest.json and merges them into the app in the current directory.
+Files you changed are merged with the template changes, overlapping changes are
+written with conflict markers. Missing env keys and dependencies are added.
+
+Options:
+  --dry-run           Print what would change, without writing it
+  -h, --help          Show this help`;
+}
+
+function getDoctorUsage() {
+  return `Usage: create-your-saas doctor [dir]
+
+Checks the Next.js app in dir (default: the current directory) for imports of
+missing files or packages, links to routes that do not exist and env keys that
+are read but not defined, or defined but not read. Nothing is changed.
+Exits with 1 when an error is found, unused env keys are only warnings.
+
+Options:
+  -h, --help          Show this help`;
+}
+
+export function exitWithError(message) {
+  console.error(chalk.red(message));
+  process.exit(1);
+}
@@ -0,0 +1,129 @@
+import fs from "fs-extra";
+import path from "path";
+
+//the generated app gets the versions its templates are type-checked against, the devDependencies of saasstart
+const templateVersions = fs.readJsonSync(
+  new URL("../package.json", import.meta.url)
+).devDependencies;
+
+//the first one is the default
+//add -> command that installs extra dependencies, run -> command that runs a package.json script
+//dev -> flag that saves them as devDependencies, exec -> command that runs the binary of an installed package
+//offline -> flag that installs from the local cache only, bun has none
+//lockfiles -> how an existing project shows which one it uses
+export const packageManagers = {
+  npm: {
+    add: "npm install",
+    run: "npm run",
+    dev: "--save-dev",
+    exec: "npx",
+    offline: "--offline",
+    lockfiles: ["package-lock.json"],
+  },
+  pnpm: {
+    add: "pnpm add",
+    run: "pnpm",
+    dev: "--save-dev",
+    exec: "pnpm exec",
+    offline: "--offline",
+    lockfiles: ["pnpm-lock.yaml"],
+  },
+  yarn: {
+    add: "yarn add",
+    run: "yarn",
+    dev: "--dev",
+    exec: "yarn",
+    offline: "--offline",
+    lockfiles: ["yarn.lock"],
+  },
+  bun: {
+    add: "bun add",
+    run: "bun run",
+    dev: "--dev",
+    exec: "bunx",
+    lockfiles: ["bun.lockb", "bun.lock"],
+  },
+};
+
+//the package manager that started the CLI, e.g. pnpm dlx or bunx, from its user agent "pnpm/9.1.0 npm/? node/v20.11.0"
+export function detectPackageManager() {
+  const name = process.env.npm_config_user_agent?.split("/")[0];
+  return name in packageManagers ? name : undefined;
+}
+
+//the package manager of an existing project, from its lockfile
+export async function detectProjectPackageManager(dir) {
+  for (const [name, { lockfiles }] of Object.entries(packageManagers)) {
+    for (const lockfile of lockfiles) {
+      if (await fs.pathExists(path.join(dir, lockfile))) {
+        return name;
+      }
+    }
+  }
+  return detectPackageManager();
+}
+
+export function validateOffline(packageManager) {
+  if (!packageManagers[packageManager].offline) {
+    throw new Error(
+      `Offline installs are not supported with ${packageManager}, use one of: ${Object.keys(
+        packageManagers
+      )
+        .filter((name) => packageManagers[name].offline)
+        .join(", ")}`
+    );
+  }
+}
+
+export function getAddCommand(
+  packageManager,
+  dependencies,
+  { offline = false, dev = false } = {}
+) {
+  const {
+    add,
+    dev: devFlag,
+    offline: offlineFlag,
+  } = packageManagers[packageManager];
+  const command = [
+    add,
+    ...dependencies.map(withVersion),
+    ...(dev ? [devFlag] : []),
+    ...(offline ? [offlineFlag] : []),
+  ];
+  return command.join(" ");
+}
+
+//one command for the dependencies and one for the devDependencies, none when there is nothing to install
+export function getInstallCommands(
+  packageManager,
+  { dependencies = [], devDependencies = [] },
+  { offline = false } = {}
+) {
+  return [
+    ...(dependencies.length > 0
+      ? [getAddCommand(packageManager, dependencies, { offline })]
+      : []),
+    ...(devDependencies.length > 0
+      ? [getAddCommand(packageManager, devDependencies, { offline, dev: true })]
+      : []),
+  ];
+}
+
+//range of a package the templates use, undefined for the others (e.g. the ones of plugins)
+export function getTemplateVersion(dependency) {
+  return templateVersions[dependency];
+}
+
+function withVersion(dependency) {
+  const version = getTemplateVersion(dependency);
+  return version ? `${dependency}@${version}` : dependency;
+}
+
+export function getRunCommand(packageManager, script) {
+  return `${packageManagers[packageManager].run} ${script}`;
+}
+
+export function getExecCommand(packageManager, command) {
+  return `${packageManagers[packageManager].exec} ${command}`;
+}
@@ -0,0 +1,153 @@
+import chalk from "chalk";
+import { createTwoFilesPatch } from "diff";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { copyBaseTemplate } from "./baseTemplate.js";
+import {
+  configureProject,
+  createNextApp,
+  getDependencies,
+  getDevDependencies,
+} from "./generate.js";
+
+//run the generators without touching the project directory and print what they would write
+export async function planProject(project) {
+  let baseDir = (await fs.pathExists(project.dir)) ? project.dir : undefined;
+  let tempDir;
+  try {
+    //diffs need the files create-next-app generates
+    if (project.options.diff && !baseDir) {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "saasstart-"));
+      console.log("Creating Next app in a temporary directory to diff against");
+      if (project.options.offline) {
+        await copyBaseTemplate(project.options.name, { cwd: tempDir });
+      } else {
+        await createNextApp(project.options.name, {
+          cwd: tempDir,
+          skipInstall: true,
+          packageManager: project.options.packageManager,
+        });
+      }
+      baseDir = path.join(tempDir, project.options.name);
+    }
+
+    await configureProject(project);
+
+    printTree(project, baseDir);
+    console.log(
+      `\nDependencies to install: ${getDependencies(project).join(" ")}`
+    );
+    const devDependencies = getDevDependencies(project);
+    if (devDependencies.length > 0) {
+      console.log(`Dev dependencies to install: ${devDependencies.join(" ")}`);
+    }
+    const hooks = project.plugins.filter((plugin) => plugin.postInstall);
+    if (hooks.length > 0) {
+      console.log(
+        `Post-install hooks to run: ${hooks
+          .map((plugin) => plugin.name)
+          .join(", ")}`
+      );
+    }
+    if (project.options.diff) {
+      await printDiffs(project, baseDir);
+    }
+  } finally {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  }
+}
+
+//baseDir -> existing files are marked as modified instead of new
+function printTree(project, baseDir) {
+  const root = {};
+  for (const file of [...project.files.keys()].sort()) {
+    const parts = file.split(path.sep);
+    const name = parts.pop();
+    let node = root;
+    for (const dir of parts) {
+      node[dir] = node[dir] ?? {};
+      node = node[dir];
+    }
+    node[name] = file;
+  }
+
+  let totalSize = 0;
+  const lines = [chalk.bold(`${path.basename(project.dir)}/`)];
+  const walk = (node, prefix) => {
+    //directories first, like most file explorers
+    const names = Object.keys(node).sort(
+      (a, b) =>
+        (typeof node[a] === "string") - (typeof node[b] === "string") ||
+        a.localeCompare(b)
+    );
+    names.forEach((name, index) => {
+      const last = index === names.length - 1;
+      const branch = `${prefix}${last ? "└── " : "├── "}`;
+      const child = node[name];
+      if (typeof child !== "string") {
+        lines.push(`${branch}${name}/`);
+        walk(child, `${prefix}${last ? "    " : "│   "}`);
+        return;
+      }
+
+      const size = Buffer.byteLength(project.files.get(child));
+      totalSize += size;
+      let status = "";
+      if (baseDir) {
+        status = fs.existsSync(path.join(baseDir, child))
+          ? chalk.yellow(" modified")
+          : chalk.green(" new");
+      }
+      lines.push(
+        `${branch}${name} ${chalk.dim(`(${formatSize(size)})`)}${status}`
+      );
+    });
+  };
+  walk(root, "");
+
+  console.log(lines.join("\n"));
+  console.log(
+    `\n${project.files.size} files, ${formatSize(totalSize)} would be written`
+  );
+}
+
+//unified diffs of the files create-next-app generated and the generators replace
+async function printDiffs(project, baseDir) {
+  for (const file of [...project.files.keys()].sort()) {
+    const basePath = path.join(baseDir, file);
+    if (!(await fs.pathExists(basePath))) {
+      continue;
+    }
+    const base = await fs.readFile(basePath, "utf8");
+    const content = project.files.get(file);
+    if (base === content) {
+      continue;
+    }
+
+    const patch = createTwoFilesPatch(`a/${file}`, `b/${file}`, base, content);
+    console.log();
+    for (const line of patch.split("\n")) {
+      if (line.startsWith("+++") || line.startsWith("---")) {
+        console.log(chalk.bold(line));
+      } else if (line.startsWith("+")) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith("-")) {
+        console.log(chalk.red(line));
+      } else if (line.startsWith("@@")) {
+        console.log(chalk.cyan(line));
+      } else {
+        console.log(line);
+      }
+    }
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return `${(bytes / 1024).toFixed(1)} kB`;
+}
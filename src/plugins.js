@@ -0,0 +1,148 @@
+import { createRequire } from "module";
+import path from "path";
+import { pathToFileURL } from "url";
+import { renderTemplateFile } from "./templates.js";
+
+//what a plugin module can export, only name is required
+//prompts -> prompts questions, the answers are passed to the templates and hooks
+//env -> keys added to .env.local
+//files -> project path: template path relative to the plugin
+//postInstall -> async (project, answers), runs after the dependencies are installed
+const pluginShape = {
+  name: "string",
+  prompts: "array",
+  dependencies: "array",
+  env: "array",
+  files: "object",
+  postInstall: "function",
+};
+
+//load plugins from local paths (./my-plugin) or npm packages installed next to the project
+export async function loadPlugins(specs, cwd = process.cwd()) {
+  const plugins = [];
+  for (const spec of new Set(specs)) {
+    const file = resolvePlugin(spec, cwd);
+    let module;
+    try {
+      module = await import(pathToFileURL(file).href);
+    } catch (error) {
+      throw new Error(`Cannot load plugin ${spec}: ${error.message}`);
+    }
+    const plugin = validatePlugin(module.default ?? module, spec);
+    if (plugins.some(({ name }) => name === plugin.name)) {
+      throw new Error(`Plugin "${plugin.name}" is loaded twice (${spec})`);
+    }
+    //spec -> how upgrade loads it again, local paths are made absolute
+    plugins.push({
+      ...plugin,
+      spec: isLocalPath(spec) ? path.resolve(cwd, spec) : spec,
+      dir: path.dirname(file),
+      answers: {},
+    });
+  }
+  return plugins;
+}
+
+//local paths relative to dir, so every checkout of the project can load them again
+//upgrade resolves them against the project directory
+export function getProjectSpec(spec, dir) {
+  if (!spec || !path.isAbsolute(spec)) {
+    return spec;
+  }
+  const relative = path.relative(dir, spec).split(path.sep).join("/");
+  return relative.startsWith(".") ? relative : `./${relative}`;
+}
+
+function isLocalPath(spec) {
+  return spec.startsWith(".") || path.isAbsolute(spec);
+}
+
+function resolvePlugin(spec, cwd) {
+  const isPath = isLocalPath(spec);
+  const require = createRequire(path.join(cwd, "noop.js"));
+  try {
+    //a directory resolves to its package.json main or index.js
+    return require.resolve(isPath ? path.resolve(cwd, spec) : spec);
+  } catch {
+    throw new Error(
+      isPath
+        ? `Plugin not found: ${path.resolve(cwd, spec)}`
+        : `Plugin not found: ${spec}, install it first with npm install ${spec}`
+    );
+  }
+}
+
+function validatePlugin(plugin, spec) {
+  if (plugin === null || typeof plugin !== "object") {
+    throw new Error(`Plugin ${spec} must export an object`);
+  }
+  for (const [key, value] of Object.entries(plugin)) {
+    const expected = pluginShape[key];
+    if (!expected) {
+      throw new Error(
+        `Unknown key "${key}" in plugin ${spec}. Expected one of: ${Object.keys(
+          pluginShape
+        ).join(", ")}`
+      );
+    }
+    const actual = Array.isArray(value) ? "array" : typeof value;
+    if (actual !== expected) {
+      throw new Error(
+        `"${key}" in plugin ${spec} must be of type ${expected}, got ${actual}`
+      );
+    }
+  }
+  if (!plugin.name) {
+    throw new Error(`Plugin ${spec} has no name`);
+  }
+
+  return {
+    name: plugin.name,
+    prompts: plugin.prompts ?? [],
+    dependencies: plugin.dependencies ?? [],
+    env: plugin.env ?? [],
+    files: plugin.files ?? {},
+    postInstall: plugin.postInstall,
+  };
+}
+
+//render the files of every plugin, they run after the built-in generators and can replace their files
+export async function configurePlugins(project) {
+  for (const plugin of project.plugins) {
+    for (const [file, template] of Object.entries(plugin.files)) {
+      const content = await renderTemplateFile(
+        project,
+        path.resolve(plugin.dir, template),
+        { answers: plugin.answers }
+      );
+      await project.writeFile(path.join(project.dir, file), content);
+    }
+  }
+}
+
+export async function runPostInstallHooks(project) {
+  for (const plugin of project.plugins) {
+    if (!plugin.postInstall) {
+      continue;
+    }
+    try {
+      await plugin.postInstall(project, plugin.answers);
+    } catch (error) {
+      throw new Error(
+        `Post-install hook of plugin "${plugin.name}" failed: ${error.message}`
+      );
+    }
+  }
+}
+
+//env block of every plugin, in the same format as the provider env templates
+export function getPluginENVBlocks(project) {
+  return project.plugins
+    .filter((plugin) => plugin.env.length > 0)
+    .map(
+      (plugin) =>
+        `#${plugin.name} keys\n${plugin.env
+          .map((key) => `${key}=`)
+          .join("\n")}\n`
+    );
+}
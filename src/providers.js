@@ -0,0 +1,141 @@
+import {
+  configureFirebaseAuth,
+  configureFirebaseDatabase,
+} from "./generators/firebase.js";
+import { configureMailgun } from "./generators/mailgun.js";
+import {
+  configureMongoDatabase,
+  configureNextAuth,
+} from "./generators/mongodb.js";
+import { configurePostgresDatabase } from "./generators/postgres.js";
+import { configureSqliteDatabase } from "./generators/sqlite.js";
+import { configureStripe } from "./generators/stripe.js";
+import {
+  configureSupabaseAuth,
+  configureSupabaseDatabase,
+} from "./generators/supabase.js";
+
+//every provider a project can be composed from, the first one of each kind is the default
+//db.auth -> auth providers that work with that database
+//db.dependencies -> include the NextAuth adapter when the database signs in with NextAuth
+//db.devDependencies -> tools of the package.json scripts, tsx runs the seed script and dotenv loads its keys, firebase-tools the emulators, supabase the local Supabase
+//env -> template of the keys the provider adds to .env.local
+//db.compose -> docker-compose.yml runs the local services, .env.local points at them
+//auth.signIn -> sign-in methods the provider supports, with the packages each one needs
+export const providers = {
+  db: {
+    firebase: {
+      label: "Firebase",
+      dependencies: ["firebase", "firebase-admin"],
+      devDependencies: ["tsx", "dotenv", "firebase-tools"],
+      auth: ["firebase"],
+      env: "env/firebase.env",
+      configure: configureFirebaseDatabase,
+    },
+    supabase: {
+      label: "Supabase",
+      dependencies: ["@supabase/supabase-js", "@supabase/ssr"],
+      devDependencies: ["tsx", "dotenv", "supabase"],
+      auth: ["supabase"],
+      env: "env/supabase.env",
+      compose: true,
+      configure: configureSupabaseDatabase,
+    },
+    mongodb: {
+      label: "MongoDB",
+      dependencies: ["mongoose", "mongodb", "@auth/mongodb-adapter"],
+      devDependencies: ["tsx", "dotenv"],
+      auth: ["nextauth"],
+      env: "env/mongodb.env",
+      compose: true,
+      configure: configureMongoDatabase,
+    },
+    postgres: {
+      label: "PostgreSQL (Prisma)",
+      dependencies: ["@prisma/client", "prisma", "@auth/prisma-adapter"],
+      devDependencies: ["tsx", "dotenv"],
+      auth: ["nextauth"],
+      env: "env/postgres.env",
+      compose: true,
+      configure: configurePostgresDatabase,
+    },
+    sqlite: {
+      label: "SQLite (Drizzle, no service needed)",
+      dependencies: [
+        "drizzle-orm",
+        "@libsql/client",
+        "drizzle-kit",
+        "@auth/drizzle-adapter",
+      ],
+      devDependencies: ["tsx", "dotenv"],
+      auth: ["nextauth"],
+      env: "env/sqlite.env",
+      configure: configureSqliteDatabase,
+    },
+  },
+  auth: {
+    firebase: {
+      label: "Firebase Auth",
+      dependencies: [],
+      signIn: { google: [], password: [], "magic-link": [] },
+      configure: configureFirebaseAuth,
+    },
+    supabase: {
+      label: "Supabase Auth",
+      dependencies: [],
+      signIn: { google: [], password: [], "magic-link": [] },
+      configure: configureSupabaseAuth,
+    },
+    nextauth: {
+      label: "NextAuth",
+      dependencies: ["next-auth"],
+      //NextAuth only keeps credentials sign-ins in JWT sessions, users are kept in the database here
+      signIn: { google: [], "magic-link": ["nodemailer"] },
+      env: "env/nextauth.env",
+      configure: configureNextAuth,
+    },
+  },
+  payments: {
+    stripe: {
+      label: "Stripe",
+      dependencies: ["stripe", "@stripe/stripe-js"],
+      env: "env/stripe.env",
+      configure: configureStripe,
+    },
+  },
+  email: {
+    mailgun: {
+      label: "Mailgun",
+      dependencies: ["mailgun.js", "form-data"],
+      env: "env/mailgun.env",
+      configure: configureMailgun,
+    },
+  },
+};
+
+//how users can sign in, every auth provider supports a subset (auth.signIn)
+export const signInMethods = {
+  google: { label: "Google" },
+  password: { label: "Email and password" },
+  "magic-link": { label: "Magic link (passwordless email)" },
+};
+
+//what a project gets when no sign-in method is chosen
+export const DEFAULT_SIGN_IN = ["google"];
+
+//allowed values for every provider flag
+export function getSupportedOptions() {
+  return Object.fromEntries(
+    Object.entries(providers).map(([kind, choices]) => [
+      kind,
+      Object.keys(choices),
+    ])
+  );
+}
+
+//pick the provider entries for the options chosen by the user
+export function resolveProviders(options) {
+  return Object.fromEntries(
+    Object.keys(providers).map((kind) => [kind, providers[kind][options[kind]]])
+  );
+}
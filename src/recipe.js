@@ -0,0 +1,232 @@
+import fs from "fs-extra";
+import path from "path";
+
+export const RECIPE_FILE = "saasstart.config.json";
+
+//what a project gets when saasstart.config.json does not say otherwise
+const defaultRecipe = {
+  providers: {},
+  stripe: {
+    //checkout mode, "payment" for one-time payments or "subscription" for recurring prices
+    //unset -> payment with Firebase, subscription with every other database
+    mode: undefined,
+  },
+  firebase: {
+    //Local Emulator Suite config and npm run emulators, used when NEXT_PUBLIC_FIREBASE_EMULATORS=true
+    //unset -> off, the CLI asks when the database is Firebase
+    emulators: undefined,
+  },
+  app: {
+    title: "Your App Name",
+    description: "Your app description",
+    slogan: "Your app slogan",
+    tagline:
+      "The NextJS boilerplate with all you need to build your SaaS, AI tool, or any other web app and make your first $ online fast.",
+    demo: {
+      role: "Role",
+      name: "Your name",
+      demo_url: "https://www.youtube.com/embed/dskvbfdjvbj",
+      bio: "Passionate about simplifying app development for startups and developers.",
+      avatarUrl: "https://example.com/demo.jpg",
+    },
+  },
+  testimonials: [
+    {
+      id: 1,
+      name: "Alice Johnson",
+      role: "Software Developer",
+      content:
+        "Lorem ipsum dolor sit amet, consectetur adipiscing elit. Integer faucibus enim vitae nulla mollis",
+    },
+    {
+      id: 2,
+      name: "Bob Smith",
+      role: "Project Manager",
+      content:
+        "Lorem ipsum dolor sit amet, consectetur adipiscing elit. Integer faucibus enim vitae nulla mollis.",
+    },
+    {
+      id: 3,
+      name: "Carol Davis",
+      role: "Startup Founder",
+      content:
+        "Lorem ipsum dolor sit amet, consectetur adipiscing elit. Integer faucibus enim vitae nulla mollis.",
+    },
+    {
+      id: 4,
+      name: "Daryl Dixon",
+      role: "Startup Founder",
+      content:
+        "Lorem ipsum dolor sit amet, consectetur adipiscing elit. Integer faucibus enim vitae nulla mollis.",
+    },
+  ],
+  plans: [
+    {
+      name: "Basic Plan",
+      price: "$100",
+      priceId: "price_1PyqnJJ0UEKhTVBjTmxX4key",
+      description: "Perfect for small projects",
+      features: [
+        { name: "Feature 1", included: true },
+        { name: "Feature 2", included: true },
+        { name: "Feature 3", included: true },
+        { name: "Feature 4", included: true },
+        { name: "Feature 5", included: false },
+        { name: "Feature 6", included: false },
+        { name: "Feature 7", included: false },
+      ],
+      buttonText: "Get Started",
+      highlighted: false,
+    },
+    {
+      name: "Pro Plan",
+      price: "$150",
+      priceId: "price_1PzhWFJ0UEKhTVBjIDO9X2kj",
+      description: "Ideal for growing businesses",
+      features: [
+        { name: "Feature 1", included: true },
+        { name: "Feature 2", included: true },
+        { name: "Feature 3", included: true },
+        { name: "Feature 4", included: true },
+        { name: "Feature 5", included: true },
+        { name: "Feature 6", included: true },
+        { name: "Feature 7", included: true },
+      ],
+      buttonText: "Upgrade Now",
+      highlighted: true,
+    },
+  ],
+  socialLinks: [
+    { name: "Twitter", url: "https://twitter.com/" },
+    { name: "GitHub", url: "https://github.com/" },
+    { name: "LinkedIn", url: "https://linkedin.com/" },
+  ],
+  footerSections: [
+    {
+      title: "Product",
+      links: ["Features", "Pricing", "Integrations", "FAQ"],
+    },
+    {
+      title: "Company",
+      links: ["About Us", "Careers", "Blog", "Contact"],
+    },
+    {
+      title: "Resources",
+      links: ["Documentation", "Tutorials", "API Reference", "Community"],
+    },
+    {
+      title: "Legal",
+      links: ["Privacy Policy", "Terms of Service", "Cookie Policy", "GDPR"],
+    },
+  ],
+  //values written to .env.local, e.g. { "MAILGUN_FROM_EMAIL": "hello@example.com" }
+  env: {},
+  //npm packages or local paths, e.g. ["saasstart-plugin-analytics", "./plugins/design-system"]
+  plugins: [],
+};
+
+//expected type of every top-level key of the recipe
+const recipeShape = {
+  name: "string",
+  packageManager: "string",
+  signIn: "array",
+  providers: "object",
+  stripe: "object",
+  firebase: "object",
+  app: "object",
+  testimonials: "array",
+  plans: "array",
+  socialLinks: "array",
+  footerSections: "array",
+  env: "object",
+  plugins: "array",
+};
+
+const checkoutModes = ["payment", "subscription"];
+
+//read the recipe, file -> --config value, otherwise saasstart.config.json in the current directory
+export async function loadRecipe(file) {
+  const recipePath = path.resolve(file ?? RECIPE_FILE);
+  if (!(await fs.pathExists(recipePath))) {
+    if (file !== undefined) {
+      throw new Error(`Recipe not found: ${recipePath}`);
+    }
+    return getDefaultRecipe();
+  }
+
+  let recipe;
+  try {
+    recipe = await fs.readJson(recipePath);
+  } catch (error) {
+    throw new Error(`Cannot read recipe ${recipePath}: ${error.message}`);
+  }
+  console.log(`Using recipe ${recipePath}`);
+  return resolveRecipe(recipe, recipePath);
+}
+
+//check a recipe object and fill in the defaults, source -> where it comes from in the errors
+export function resolveRecipe(recipe, source) {
+  validateRecipe(recipe, source);
+  return mergeRecipe(getDefaultRecipe(), recipe);
+}
+
+export function getDefaultRecipe() {
+  return structuredClone(defaultRecipe);
+}
+
+function validateRecipe(recipe, recipePath) {
+  if (typeOf(recipe) !== "object") {
+    throw new Error(`Recipe ${recipePath} must contain a JSON object`);
+  }
+  for (const [key, value] of Object.entries(recipe)) {
+    const expected = recipeShape[key];
+    if (!expected) {
+      throw new Error(
+        `Unknown key "${key}" in recipe ${recipePath}. Expected one of: ${Object.keys(
+          recipeShape
+        ).join(", ")}`
+      );
+    }
+    if (typeOf(value) !== expected) {
+      throw new Error(
+        `"${key}" in recipe ${recipePath} must be of type ${expected}, got ${typeOf(
+          value
+        )}`
+      );
+    }
+  }
+  const emulators = recipe.firebase?.emulators;
+  if (emulators !== undefined && typeof emulators !== "boolean") {
+    throw new Error(
+      `"firebase.emulators" in recipe ${recipePath} must be of type boolean, got ${typeOf(
+        emulators
+      )}`
+    );
+  }
+  const mode = recipe.stripe?.mode;
+  if (mode !== undefined && !checkoutModes.includes(mode)) {
+    throw new Error(
+      `"stripe.mode" in recipe ${recipePath} must be one of: ${checkoutModes.join(
+        ", "
+      )}, got ${JSON.stringify(mode)}`
+    );
+  }
+}
+
+//objects are merged key by key, arrays and plain values replace the defaults
+function mergeRecipe(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] =
+      typeOf(value) === "object" && typeOf(base[key]) === "object"
+        ? mergeRecipe(base[key], value)
+        : value;
+  }
+  return merged;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
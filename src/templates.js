@@ -0,0 +1,89 @@
+import ejs from "ejs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getRunCommand } from "./packageManagers.js";
+
+//every generated file has a template in templates/, at the path it gets in the project
+export const templatesDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "templates"
+);
+
+//render templates/<file>.ejs for the project
+export async function renderTemplate(project, file) {
+  return renderTemplateFile(project, path.join(templatesDir, `${file}.ejs`));
+}
+
+//templates can use the chosen providers (db, auth, payments, email), the recipe and toSource
+//compose -> the project gets docker-compose.yml, local service URLs are filled in
+//signIn -> the chosen sign-in methods, signInPage -> one of them needs the email forms of app/sign-in
+//run -> the command of a package.json script with the chosen package manager, e.g. run("seed")
+//checkoutMode -> the mode of the Stripe checkout, stripe.mode of the recipe or the default of the database
+//data -> extra values, e.g. the prompt answers of a plugin
+export async function renderTemplateFile(project, templatePath, data = {}) {
+  const { db, auth, payments, email } = project.options;
+  return ejs.renderFile(templatePath, {
+    db,
+    auth,
+    payments,
+    email,
+    compose: project.compose,
+    signIn: project.options.signIn,
+    signInPage: project.options.signIn.some((method) => method !== "google"),
+    run: (script) =>
+      getRunCommand(project.options.packageManager ?? "npm", script),
+    checkoutMode:
+      project.recipe.stripe.mode ??
+      (db === "firebase" ? "payment" : "subscription"),
+    options: project.options,
+    recipe: project.recipe,
+    toSource,
+    ...data,
+  });
+}
+
+//render the templates and write them to the same paths in the project
+export async function writeTemplates(project, files) {
+  for (const file of files) {
+    const content = await renderTemplate(project, file);
+    await project.writeFile(path.join(project.dir, file), content);
+  }
+}
+
+//print a recipe value as a TS literal, short lists and objects stay on one line
+function toSource(value, indent = 0) {
+  const pad = " ".repeat(indent);
+  const isPlain = (item) => item === null || typeof item !== "object";
+
+  if (Array.isArray(value)) {
+    const inline = `[${value.map((item) => toSource(item)).join(", ")}]`;
+    if (value.every(isPlain) && indent + inline.length < 70) {
+      return inline;
+    }
+    const items = value.map((item) => `${pad}  ${toSource(item, indent + 2)},`);
+    return `[\n${items.join("\n")}\n${pad}]`;
+  }
+
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value).map(([key, item]) => [
+      /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key),
+      item,
+    ]);
+    const inline = `{ ${entries
+      .map(([key, item]) => `${key}: ${toSource(item)}`)
+      .join(", ")} }`;
+    if (
+      entries.every(([, item]) => isPlain(item)) &&
+      indent + inline.length < 70
+    ) {
+      return inline;
+    }
+    const lines = entries.map(
+      ([key, item]) => `${pad}  ${key}: ${toSource(item, indent + 2)},`
+    );
+    return `{\n${lines.join("\n")}\n${pad}}`;
+  }
+
+  return JSON.stringify(value);
+}
@@ -0,0 +1,227 @@
+import chalk from "chalk";
+import { execaCommand } from "execa";
+import fs from "fs-extra";
+import { merge } from "node-diff3";
+import path from "path";
+import {
+  configureProject,
+  createProject,
+  getDependencies,
+  getDevDependencies,
+  getMissingScripts,
+  writeScripts,
+} from "./generate.js";
+import { getENVContent, mergeENVContent } from "./generators/common.js";
+import {
+  isTracked,
+  MANIFEST_FILE,
+  readBaseContent,
+  readManifest,
+  templateVersion,
+  writeManifest,
+} from "./manifest.js";
+import { exitWithError } from "./options.js";
+import {
+  detectProjectPackageManager,
+  getInstallCommands,
+} from "./packageManagers.js";
+import { loadPlugins } from "./plugins.js";
+import { resolveRecipe } from "./recipe.js";
+
+//render the current templates with the choices recorded in the manifest and merge them into the project
+//base -> generated content from the manifest, yours -> what is on disk, template -> what the templates render now
+//  create    new template file
+//  update    unchanged by you, replaced with the new template
+//  merge     changed by you and by the template, merged without overlap
+//  conflict  changed by you and by the template in the same place, written with conflict markers
+//  kept      changed by you only
+//  deleted   deleted by you, not created again
+//  obsolete  no template renders it anymore, left as it is
+//errors are thrown, nothing is written before the merge of every file is known
+export async function upgradeProject({
+  dir = process.cwd(),
+  dryRun = false,
+} = {}) {
+  const manifest = await readManifest(dir);
+
+  const plugins = await loadPlugins(
+    manifest.plugins.filter(({ spec }) => spec).map(({ spec }) => spec),
+    dir
+  );
+  for (const plugin of plugins) {
+    const recorded = manifest.plugins.find(({ name }) => name === plugin.name);
+    plugin.answers = { ...recorded?.answers };
+    for (const question of plugin.prompts) {
+      plugin.answers[question.name] ??= question.initial;
+    }
+  }
+
+  const project = createProject({
+    dir,
+    options: manifest.options,
+    recipe: resolveRecipe(manifest.recipe, MANIFEST_FILE),
+    plugins,
+    dryRun: true,
+  });
+  await configureProject(project);
+
+  const results = [];
+  const writes = new Map();
+  for (const file of [...project.files.keys()].filter(isTracked).sort()) {
+    const template = project.files.get(file);
+    const fullPath = path.join(dir, file);
+    const yours = (await fs.pathExists(fullPath))
+      ? await fs.readFile(fullPath, "utf8")
+      : undefined;
+    const base = await readBaseContent(dir, manifest, file, yours);
+
+    let status;
+    if (yours === undefined) {
+      status = base === undefined ? "create" : "deleted";
+    } else if (yours === template) {
+      status = "unchanged";
+    } else if (base === yours) {
+      status = "update";
+    } else if (base === template) {
+      status = "kept";
+    } else {
+      const merged = mergeContent(yours, base, template);
+      status = merged.conflict ? "conflict" : "merge";
+      writes.set(file, merged.content);
+    }
+    if (status === "create" || status === "update") {
+      writes.set(file, template);
+    }
+    results.push({ file, status });
+  }
+  for (const file of Object.keys(manifest.files)) {
+    if (!project.files.has(file)) {
+      results.push({ file, status: "obsolete" });
+    }
+  }
+
+  //the user filled in the env values, only missing keys are added
+  const envPath = path.join(dir, ".env.local");
+  const envExists = await fs.pathExists(envPath);
+  const existingEnv = envExists ? await fs.readFile(envPath, "utf8") : "";
+  const mergedEnv = mergeENVContent(existingEnv, await getENVContent(project));
+  if (mergedEnv !== existingEnv) {
+    writes.set(".env.local", mergedEnv);
+    results.push({
+      file: ".env.local",
+      status: envExists ? "merge" : "create",
+    });
+  }
+
+  const packageJson = await fs.readJson(path.join(dir, "package.json"));
+  //scripts the user removed or renamed come back, like env keys
+  if (Object.keys(getMissingScripts(project, packageJson)).length > 0) {
+    results.push({ file: "package.json", status: "merge" });
+  }
+  const installed = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  };
+  const missing = (dependencies) =>
+    dependencies.filter((dependency) => !(dependency in installed));
+  const packageManager =
+    (await detectProjectPackageManager(dir)) ??
+    manifest.options.packageManager ??
+    "npm";
+  const installCommands = getInstallCommands(packageManager, {
+    dependencies: missing(getDependencies(project)),
+    devDependencies: missing(getDevDependencies(project)),
+  });
+
+  if (!dryRun) {
+    for (const [file, content] of writes) {
+      await fs.outputFile(path.join(dir, file), content);
+    }
+    //the new templates are the base of the next upgrade, also for files that conflict
+    await writeManifest(project);
+    await writeScripts(project);
+    for (const command of installCommands) {
+      await execaCommand(command, { cwd: dir });
+    }
+  }
+
+  return {
+    from: manifest.templateVersion,
+    to: templateVersion,
+    results,
+    installCommands,
+  };
+}
+
+//three-way merge by line, conflicts are marked like git does
+//without a base there is no telling which side changed a line, the whole file is one conflict
+function mergeContent(yours, base, template) {
+  const labels = { a: "yours", b: `template ${templateVersion}` };
+  if (base === undefined) {
+    return {
+      conflict: true,
+      content: `<<<<<<< ${labels.a}\n${yours}\n=======\n${template}\n>>>>>>> ${labels.b}\n`,
+    };
+  }
+  const { conflict, result } = merge(
+    yours.split("\n"),
+    base.split("\n"),
+    template.split("\n"),
+    { label: labels }
+  );
+  return { conflict, content: result.join("\n") };
+}
+
+//create-your-saas upgrade
+export async function runUpgrade(options) {
+  let upgrade;
+  try {
+    upgrade = await upgradeProject({
+      dir: process.cwd(),
+      dryRun: options.dryRun,
+    });
+  } catch (error) {
+    exitWithError(error.message);
+  }
+  const { from, to, results, installCommands } = upgrade;
+
+  console.log(`Upgrading templates from ${from} to ${to}`);
+  const colors = {
+    create: chalk.green,
+    update: chalk.green,
+    merge: chalk.green,
+    conflict: chalk.red,
+    kept: chalk.dim,
+    unchanged: chalk.dim,
+    deleted: chalk.yellow,
+    obsolete: chalk.yellow,
+  };
+  for (const { file, status } of results) {
+    if (status !== "unchanged") {
+      console.log(`  ${colors[status](status.padEnd(10))}${file}`);
+    }
+  }
+  const unchanged = results.filter(({ status }) => status === "unchanged");
+  console.log(chalk.dim(`  ${unchanged.length} file(s) unchanged`));
+
+  if (installCommands.length > 0) {
+    console.log(
+      options.dryRun
+        ? `\nDependencies to install: ${installCommands.join(" && ")}`
+        : chalk.green("\nNew dependencies installed")
+    );
+  }
+  const conflicts = results.filter(({ status }) => status === "conflict");
+  if (conflicts.length > 0) {
+    console.log(
+      chalk.yellow(
+        options.dryRun
+          ? `\n${conflicts.length} file(s) would have conflicts`
+          : `\n${conflicts.length} file(s) have conflicts, resolve the <<<<<<< yours / >>>>>>> template blocks`
+      )
+    );
+  }
+  if (options.dryRun) {
+    console.log(chalk.dim("\nDry run, nothing was written"));
+  }
+}
@@ -0,0 +1,227 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { after, afterEach, before, describe, mock, test } from "node:test";
+import { fileURLToPath } from "url";
+import { checkProject } from "../src/index.js";
+import { addFeature } from "../src/add.js";
+import { copyBaseTemplate } from "../src/baseTemplate.js";
+import { mergeENVContent } from "../src/generators/common.js";
+import { getTemplateVersion } from "../src/packageManagers.js";
+
+const binDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "bin"
+);
+
+describe("add", () => {
+  let tempDir;
+  const env = { ...process.env };
+  const cwd = process.cwd();
+
+  //a Next app like create-next-app makes, with these packages already installed
+  async function createApp(name, dependencies = {}) {
+    await copyBaseTemplate(name, { cwd: tempDir });
+    const dir = path.join(tempDir, name);
+    const packagePath = path.join(dir, "package.json");
+    const packageJson = await fs.readJson(packagePath);
+    await fs.writeJson(packagePath, {
+      ...packageJson,
+      dependencies: { ...packageJson.dependencies, ...dependencies },
+    });
+    //add works on the current directory
+    process.chdir(dir);
+    return dir;
+  }
+
+  async function readFile(dir, file) {
+    return fs.readFile(path.join(dir, file), "utf8");
+  }
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "saasstart-test-"));
+    //npm install is replaced by test/fixtures/bin
+    process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+    process.env.SAASSTART_CACHE_DIR = path.join(tempDir, "cache");
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  after(async () => {
+    process.env = env;
+    mock.restoreAll();
+    await fs.remove(tempDir);
+  });
+
+  test("adds mailgun to an app without a database", async () => {
+    const dir = await createApp("mailgun");
+    await addFeature({ feature: "mailgun" });
+
+    assert.match(await readFile(dir, "lib/mailgun.ts"), /mailgun\.js/);
+    assert.ok(
+      await fs.pathExists(path.join(dir, "app/constants/Constants.ts"))
+    );
+    assert.match(
+      await readFile(dir, ".env.local"),
+      /^NEXT_PUBLIC_MAILGUN_API_KEY=/m
+    );
+    const { dependencies } = await fs.readJson(path.join(dir, "package.json"));
+    assert.equal(dependencies["mailgun.js"], getTemplateVersion("mailgun.js"));
+    assert.equal(dependencies["form-data"], getTemplateVersion("form-data"));
+  });
+
+  test("keeps conflicting files and existing env values", async () => {
+    const dir = await createApp("conflict");
+    await fs.outputFile(path.join(dir, "lib/mailgun.ts"), "//mine\n");
+    await fs.outputFile(
+      path.join(dir, ".env.local"),
+      "NEXT_PUBLIC_MAILGUN_API_KEY=my-key\n"
+    );
+    await addFeature({ feature: "mailgun" });
+
+    assert.equal(await readFile(dir, "lib/mailgun.ts"), "//mine\n");
+    const envContent = await readFile(dir, ".env.local");
+    assert.ok(envContent.startsWith("NEXT_PUBLIC_MAILGUN_API_KEY=my-key\n"));
+    assert.equal(envContent.match(/^NEXT_PUBLIC_MAILGUN_API_KEY=/gm).length, 1);
+    assert.match(envContent, /^NEXT_PUBLIC_MAILGUN_DOMAIN=/m);
+
+    await addFeature({ feature: "mailgun", force: true });
+    assert.match(await readFile(dir, "lib/mailgun.ts"), /mailgun\.js/);
+    assert.ok(
+      (await readFile(dir, ".env.local")).startsWith(
+        "NEXT_PUBLIC_MAILGUN_API_KEY=my-key\n"
+      )
+    );
+  });
+
+  test("installs only the missing dependencies", async () => {
+    const dir = await createApp("installed", { "mailgun.js": "^10.0.0" });
+    await addFeature({ feature: "mailgun" });
+
+    const { dependencies } = await fs.readJson(path.join(dir, "package.json"));
+    assert.equal(dependencies["mailgun.js"], "^10.0.0");
+    assert.equal(dependencies["form-data"], getTemplateVersion("form-data"));
+  });
+
+  test("writes nothing with --dry-run", async () => {
+    const dir = await createApp("dry-run", {
+      "@supabase/supabase-js": "*",
+      "@supabase/ssr": "*",
+    });
+    const before = await fs.readdir(dir, { recursive: true });
+    const packageJson = await readFile(dir, "package.json");
+    await addFeature({ feature: "stripe", dryRun: true });
+
+    assert.deepEqual(await fs.readdir(dir, { recursive: true }), before);
+    assert.equal(await readFile(dir, "package.json"), packageJson);
+  });
+
+  test("stripe needs a database", async () => {
+    await createApp("no-database");
+    mock.method(console, "error", () => {});
+    const exit = mock.method(process, "exit", (code) => {
+      throw new Error(`exit ${code}`);
+    });
+    try {
+      await assert.rejects(addFeature({ feature: "stripe" }), /exit 1/);
+      assert.match(
+        console.error.mock.calls[0].arguments[0],
+        /stripe stores purchases in the database, add one first/
+      );
+    } finally {
+      exit.mock.restore();
+      console.error.mock.restore();
+    }
+  });
+
+  test("stripe brings the repositories of the database", async () => {
+    const dir = await createApp("stripe", {
+      "@supabase/supabase-js": "*",
+      "@supabase/ssr": "*",
+    });
+    await addFeature({ feature: "stripe" });
+
+    for (const file of [
+      "lib/repositories/index.ts",
+      "lib/repositories/supabase.ts",
+      "utils/supabase/server.ts",
+    ]) {
+      assert.ok(await fs.pathExists(path.join(dir, file)), file);
+    }
+    //no docker-compose.yml, so nothing points at stripe-mock
+    assert.doesNotMatch(await readFile(dir, ".env.local"), /STRIPE_API_URL/);
+    assert.doesNotMatch(await readFile(dir, "lib/stripe.ts"), /STRIPE_API_URL/);
+    const problems = await checkProject(dir);
+    assert.deepEqual(
+      problems
+        .filter(({ severity }) => severity === "error")
+        .map(({ file, message }) => `${file} ${message}`),
+      []
+    );
+  });
+
+  test("stripe keeps the repositories of the app", async () => {
+    const dir = await createApp("own-repositories", {
+      "@supabase/supabase-js": "*",
+      "@supabase/ssr": "*",
+    });
+    await fs.outputFile(
+      path.join(dir, "lib/repositories/index.ts"),
+      "//mine\n"
+    );
+    await fs.outputFile(path.join(dir, "docker-compose.yml"), "services:\n");
+    await addFeature({ feature: "stripe" });
+
+    assert.equal(await readFile(dir, "lib/repositories/index.ts"), "//mine\n");
+    assert.match(await readFile(dir, ".env.local"), /^STRIPE_API_URL=/m);
+  });
+});
+
+describe("mergeENVContent", () => {
+  const content = `#Stripe Keys
+STRIPE_SECRET_KEY=
+STRIPE_WEBHOOK_SECRET=
+
+#Mailgun Keys
+MAILGUN_API_KEY=
+`;
+
+  test("writes every block to an empty file", () => {
+    assert.equal(mergeENVContent("", content), content);
+  });
+
+  test("appends only the keys the file does not define", () => {
+    assert.equal(
+      mergeENVContent("STRIPE_SECRET_KEY=sk_live_mine\n", content),
+      `STRIPE_SECRET_KEY=sk_live_mine
+
+#Stripe Keys
+STRIPE_WEBHOOK_SECRET=
+
+#Mailgun Keys
+MAILGUN_API_KEY=
+`
+    );
+  });
+
+  test("drops blocks whose keys are all defined", () => {
+    const existing = `# mine
+STRIPE_SECRET_KEY = sk_live_mine
+STRIPE_WEBHOOK_SECRET=whsec_mine`;
+    assert.equal(
+      mergeENVContent(existing, content),
+      `${existing}\n\n#Mailgun Keys\nMAILGUN_API_KEY=\n`
+    );
+  });
+
+  test("keeps the file when nothing is missing", () => {
+    const existing =
+      "STRIPE_SECRET_KEY=a\nSTRIPE_WEBHOOK_SECRET=b\nMAILGUN_API_KEY=c\n";
+    assert.equal(mergeENVContent(existing, content), existing);
+  });
+});
@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { checkProject } from "../src/index.js";
+import { getTemplateVersion } from "../src/packageManagers.js";
+
+//a project with the mistakes doctor looks for, each one once
+const files = {
+  "package.json": JSON.stringify({
+    name: "broken",
+    dependencies: { next: "14.2.15", react: "^18" },
+  }),
+  "tsconfig.json": `{
+  "compilerOptions": {
+    //comments are allowed in tsconfig.json
+    "paths": { "@/*": ["./*"] },
+  }
+}`,
+  ".env.local":
+    "NEXT_PUBLIC_FIREBASE_APP_ID=\nSTRIPE_SECRET_KEY=\nUNUSED_KEY=\n",
+  "app/page.tsx": `import Navbar from "@/app/components/Navbar";
+export default function Home() {
+  return <Navbar />;
+}
+`,
+  "app/components/Navbar.tsx": `import Link from "next/link";
+import PortalButton from "./Portalbutton";
+export default function Navbar() {
+  return <Link href="/pricing"><PortalButton /></Link>;
+}
+`,
+  "app/components/PortalButton.tsx": `export default function PortalButton() {
+  return <a href="/">Portal</a>;
+}
+`,
+  "app/pricing/page.tsx": `export default function Pricing() {
+  return null;
+}
+`,
+  "app/callback/route.ts": `import { NextResponse } from "next/server";
+import Stripe from "stripe";
+import path from "node:path";
+export async function GET(request: Request) {
+  const { origin } = new URL(request.url);
+  //redirect(\`\${origin}/commented-out\`)
+  return NextResponse.redirect(\`\${origin}/auth/callback\`);
+}
+`,
+  //another host, not a route of the app
+  "lib/search.ts": `const base = "https://api.example.com";
+export const search = (query: string) => fetch(\`\${base}/search?q=\${query}\`);
+`,
+  "lib/database.ts": `export const config = {
+  appId: process.env.FIREBASE_APP_ID,
+  stripe: process.env.STRIPE_SECRET_KEY,
+  url: process.env["DATABASE_URL"],
+  mode: process.env.NODE_ENV,
+};
+`,
+};
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "saasstart-doctor-"));
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(dir, file), content);
+  }
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+test("reports broken imports, routes and env keys with their fixes", async () => {
+  const problems = await checkProject(dir);
+  assert.deepEqual(
+    problems.map(({ check, severity, file, line, fix }) => ({
+      check,
+      severity,
+      file,
+      line,
+      fix,
+    })),
+    [
+      {
+        check: "imports",
+        severity: "error",
+        file: "app/callback/route.ts",
+        line: 2,
+        fix: `npm install stripe@${getTemplateVersion("stripe")}`,
+      },
+      {
+        check: "imports",
+        severity: "error",
+        file: "app/components/Navbar.tsx",
+        line: 2,
+        fix: 'import from "./PortalButton"',
+      },
+      {
+        check: "routes",
+        severity: "error",
+        file: "app/callback/route.ts",
+        line: 7,
+        fix: "move app/callback/route.ts to app/auth/callback/route.ts",
+      },
+      {
+        check: "env",
+        severity: "error",
+        file: "lib/database.ts",
+        line: 2,
+        fix: "read process.env.NEXT_PUBLIC_FIREBASE_APP_ID, keys used in the browser need the NEXT_PUBLIC_ prefix",
+      },
+      {
+        check: "env",
+        severity: "error",
+        file: "lib/database.ts",
+        line: 4,
+        fix: "add DATABASE_URL= to .env.local",
+      },
+      {
+        check: "env",
+        severity: "warning",
+        file: ".env.local",
+        line: 3,
+        fix: "remove UNUSED_KEY from .env.local",
+      },
+    ]
+  );
+});
+
+test("finds nothing once the fixes are applied", async () => {
+  await fs.move(
+    path.join(dir, "app/callback/route.ts"),
+    path.join(dir, "app/auth/callback/route.ts")
+  );
+  await fs.writeFile(
+    path.join(dir, "app/components/Navbar.tsx"),
+    files["app/components/Navbar.tsx"].replace("Portalbutton", "PortalButton")
+  );
+  await fs.writeFile(
+    path.join(dir, "lib/database.ts"),
+    files["lib/database.ts"].replace(
+      "FIREBASE_APP_ID",
+      "NEXT_PUBLIC_FIREBASE_APP_ID"
+    )
+  );
+  await fs.writeFile(
+    path.join(dir, ".env.local"),
+    "NEXT_PUBLIC_FIREBASE_APP_ID=\nSTRIPE_SECRET_KEY=\nDATABASE_URL=\n"
+  );
+  const packageJson = JSON.parse(files["package.json"]);
+  packageJson.dependencies.stripe = "^14";
+  await fs.writeJson(path.join(dir, "package.json"), packageJson);
+
+  assert.deepEqual(await checkProject(dir), []);
+});
@@ -0,0 +1,188 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { after, before, describe, mock, test } from "node:test";
+import { fileURLToPath } from "url";
+import { checkProject, createSaaS } from "../src/index.js";
+import { getTemplateVersion } from "../src/packageManagers.js";
+import { providers } from "../src/providers.js";
+import { matchSnapshot, serializeFiles } from "./snapshot.js";
+import { typeCheck } from "./typecheck.js";
+
+const binDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "bin"
+);
+
+//every database with each of its auth providers, and every payments and email provider
+function getCombinations() {
+  return Object.entries(providers.db).flatMap(([db, { auth }]) =>
+    auth.flatMap((authProvider) =>
+      Object.keys(providers.payments).flatMap((payments) =>
+        Object.keys(providers.email).map((email) => ({
+          db,
+          auth: authProvider,
+          payments,
+          email,
+        }))
+      )
+    )
+  );
+}
+
+describe("generated projects", () => {
+  let tempDir;
+  const env = { ...process.env };
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "saasstart-test-"));
+    //create-next-app and npm install are replaced by test/fixtures/bin
+    process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+    process.env.SAASSTART_CACHE_DIR = path.join(tempDir, "cache");
+    mock.method(console, "log", () => {});
+  });
+
+  after(async () => {
+    process.env = env;
+    mock.restoreAll();
+    await fs.remove(tempDir);
+  });
+
+  for (const combination of getCombinations()) {
+    const name = Object.values(combination).join("-");
+
+    test(name, async () => {
+      const result = await createSaaS({
+        name,
+        dir: tempDir,
+        providers: combination,
+        packageManager: "npm",
+      });
+
+      assert.deepEqual(result.providers, combination);
+      await matchSnapshot(name, await serializeFiles(result.dir, result.files));
+
+      const packageJson = await fs.readJson(
+        path.join(result.dir, "package.json")
+      );
+      assert.equal(packageJson.scripts.seed, "npx tsx scripts/seed.ts");
+      assert.equal(packageJson.devDependencies.tsx, getTemplateVersion("tsx"));
+      assert.equal(
+        packageJson.devDependencies.dotenv,
+        getTemplateVersion("dotenv")
+      );
+      const errors = await typeCheck(result.dir);
+      assert.deepEqual(errors, [], errors.join(""));
+    });
+
+    test(`${name} passes doctor`, async () => {
+      const problems = await checkProject(path.join(tempDir, name));
+      assert.deepEqual(
+        problems.map(({ file, message }) => `${file} ${message}`),
+        []
+      );
+    });
+  }
+
+  test("firebase with the emulators", async () => {
+    const name = "firebase-emulators";
+    const result = await createSaaS({
+      name,
+      dir: tempDir,
+      providers: { db: "firebase" },
+      recipe: { firebase: { emulators: true } },
+    });
+    await matchSnapshot(name, await serializeFiles(result.dir, result.files));
+
+    const packageJson = await fs.readJson(
+      path.join(result.dir, "package.json")
+    );
+    assert.equal(
+      packageJson.scripts.emulators,
+      "npx firebase emulators:start --project demo-project"
+    );
+    assert.ok("firebase-tools" in packageJson.devDependencies);
+    const errors = await typeCheck(result.dir);
+    assert.deepEqual(errors, [], errors.join(""));
+    assert.deepEqual(await checkProject(result.dir), []);
+  });
+
+  test("supabase with one-time payments", async () => {
+    const result = await createSaaS({
+      name: "supabase-payment",
+      dir: tempDir,
+      providers: { db: "supabase" },
+      recipe: { stripe: { mode: "payment" } },
+    });
+    const route = await fs.readFile(
+      path.join(result.dir, "app/api/stripe/route.ts"),
+      "utf8"
+    );
+    assert.match(route, /mode: "payment"/);
+    //subscription_data is rejected by Stripe outside of subscription mode
+    assert.doesNotMatch(route, /subscription_data/);
+    const errors = await typeCheck(result.dir);
+    assert.deepEqual(errors, [], errors.join(""));
+  });
+
+  //every method each auth provider offers, nextauth reads a magic link only
+  for (const [db, signIn] of [
+    ["firebase", ["google", "password", "magic-link"]],
+    ["supabase", ["google", "password", "magic-link"]],
+    ["sqlite", ["google", "magic-link"]],
+  ]) {
+    test(`${db} with ${signIn.join(", ")} sign-in`, async () => {
+      const name = `${db}-sign-in`;
+      const result = await createSaaS({
+        name,
+        dir: tempDir,
+        providers: { db },
+        signIn,
+      });
+      await matchSnapshot(name, await serializeFiles(result.dir, result.files));
+
+      for (const page of ["sign-in", "verify-email"]) {
+        assert.ok(result.files.includes(`app/${page}/page.tsx`));
+      }
+      assert.equal(
+        result.files.includes("app/sign-up/page.tsx"),
+        signIn.includes("password")
+      );
+      const errors = await typeCheck(result.dir);
+      assert.deepEqual(errors, [], errors.join(""));
+      assert.deepEqual(await checkProject(result.dir), []);
+    });
+  }
+
+  test("providers, name and package manager of the recipe", async () => {
+    const result = await createSaaS({
+      dir: tempDir,
+      providers: { payments: "stripe" },
+      recipe: {
+        name: "recipe-app",
+        packageManager: "pnpm",
+        providers: { db: "supabase" },
+      },
+      dryRun: true,
+    });
+    assert.equal(result.dir, path.join(tempDir, "recipe-app"));
+    assert.equal(result.providers.db, "supabase");
+    assert.equal(result.providers.auth, "supabase");
+    assert.equal(result.providers.payments, "stripe");
+  });
+
+  test("nextauth without password sign-in", async () => {
+    await assert.rejects(
+      createSaaS({
+        name: "nextauth-password",
+        dir: tempDir,
+        providers: { db: "sqlite" },
+        signIn: ["password"],
+        dryRun: true,
+      }),
+      /signIn "password" cannot be used with auth "nextauth"/
+    );
+  });
+});
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const snapshotsDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "__snapshots__"
+);
+
+//compare with test/__snapshots__/<name>.snap, npm run test:update rewrites them
+//a missing snapshot is written, except on CI where it fails
+export async function matchSnapshot(name, content) {
+  const file = path.join(snapshotsDir, `${name}.snap`);
+  const exists = await fs.pathExists(file);
+  if (process.env.UPDATE_SNAPSHOTS || (!exists && !process.env.CI)) {
+    await fs.outputFile(file, content);
+    return;
+  }
+  assert.ok(exists, `Snapshot ${file} is missing, run npm run test:update`);
+  assert.equal(
+    content,
+    await fs.readFile(file, "utf8"),
+    `Snapshot ${name} changed, run npm run test:update if that is expected`
+  );
+}
+
+//file tree first, then every file
+export async function serializeFiles(dir, files) {
+  const sorted = [...files].sort();
+  const contents = await Promise.all(
+    sorted.map(async (file) => {
+      const content = await fs.readFile(path.join(dir, file), "utf8");
+      return `==> ${file} <==\n${content}`;
+    })
+  );
+  return `${sorted.join("\n")}\n\n${contents.join("\n")}`;
+}
@@ -0,0 +1,56 @@
+import { execa } from "execa";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import ts from "typescript";
+import { fileURLToPath } from "url";
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const modulesDir = path.join(rootDir, "node_modules");
+
+//type-check a generated project with its own tsconfig.json
+//the packages are the devDependencies of saasstart, the versions the generated app installs
+//returns the errors, formatted like tsc prints them
+export async function typeCheck(dir) {
+  await fs.ensureSymlink(modulesDir, path.join(dir, "node_modules"));
+  //the Prisma client is typed from the schema of the project
+  //only the types are used, an empty file stands in for the engines so nothing is downloaded
+  const schema = path.join(dir, "prisma", "schema.prisma");
+  if (await fs.pathExists(schema)) {
+    const engine = path.join(os.tmpdir(), "saasstart-prisma-engine");
+    await fs.ensureFile(engine);
+    await execa(
+      path.join(modulesDir, ".bin", "prisma"),
+      ["generate", `--schema=${schema}`],
+      {
+        env: {
+          PRISMA_SCHEMA_ENGINE_BINARY: engine,
+          PRISMA_QUERY_ENGINE_LIBRARY: engine,
+        },
+      }
+    );
+  }
+
+  const { config } = ts.readConfigFile(
+    path.join(dir, "tsconfig.json"),
+    ts.sys.readFile
+  );
+  const { options, fileNames } = ts.parseJsonConfigFileContent(
+    config,
+    ts.sys,
+    dir
+  );
+
+  const program = ts.createProgram({
+    rootNames: fileNames,
+    options: { ...options, incremental: false },
+  });
+  const diagnostics = ts.getPreEmitDiagnostics(program);
+  return diagnostics.map((diagnostic) =>
+    ts.formatDiagnostic(diagnostic, {
+      getCanonicalFileName: (file) => file,
+      getCurrentDirectory: () => dir,
+      getNewLine: () => "\n",
+    })
+  );
+}
@@ -0,0 +1,186 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { after, before, describe, mock, test } from "node:test";
+import { fileURLToPath } from "url";
+import { createSaaS, upgradeProject } from "../src/index.js";
+import { hashContent, templateVersion } from "../src/manifest.js";
+
+const binDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "bin"
+);
+
+describe("upgrade", () => {
+  let tempDir, dir, files;
+  const env = { ...process.env };
+
+  //pretend file was generated from an older template: base is what it rendered, yours what is on disk now
+  async function setFile(file, { base, yours }) {
+    const manifestPath = path.join(dir, ".saasstart", "manifest.json");
+    const manifest = await fs.readJson(manifestPath);
+    manifest.files[file] = hashContent(base);
+    await fs.writeJson(manifestPath, manifest);
+    await fs.outputFile(path.join(dir, ".saasstart", "base", file), base);
+    await fs.outputFile(path.join(dir, file), yours);
+  }
+
+  async function readFile(file) {
+    return fs.readFile(path.join(dir, file), "utf8");
+  }
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "saasstart-test-"));
+    //create-next-app and npm install are replaced by test/fixtures/bin
+    process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+    process.env.SAASSTART_CACHE_DIR = path.join(tempDir, "cache");
+    mock.method(console, "log", () => {});
+    ({ dir, files } = await createSaaS({ name: "app", dir: tempDir }));
+  });
+
+  after(async () => {
+    process.env = env;
+    mock.restoreAll();
+    await fs.remove(tempDir);
+  });
+
+  test("records the generated files in a manifest", async () => {
+    const manifest = await fs.readJson(
+      path.join(dir, ".saasstart", "manifest.json")
+    );
+    assert.equal(manifest.templateVersion, templateVersion);
+    assert.equal(manifest.options.db, "firebase");
+    assert.deepEqual(
+      Object.keys(manifest.files),
+      files.filter((file) => file !== ".env.local")
+    );
+    for (const file of Object.keys(manifest.files)) {
+      const content = await readFile(file);
+      assert.equal(manifest.files[file], hashContent(content), file);
+      assert.equal(
+        await fs.readFile(path.join(dir, ".saasstart", "base", file), "utf8"),
+        content
+      );
+    }
+  });
+
+  test("merges newer templates into the files you changed", async () => {
+    const footer = await readFile("app/components/Footer.tsx");
+    const success = await readFile("app/success/page.tsx");
+    const navbar = await readFile("app/components/Navbar.tsx");
+    const cancel = await readFile("app/cancel/page.tsx");
+    const [navbarFirstLine, ...navbarRest] = navbar.split("\n");
+
+    //only the template changed
+    await setFile("app/components/Footer.tsx", {
+      base: `//old\n${footer}`,
+      yours: `//old\n${footer}`,
+    });
+    //both changed, in different places
+    await setFile("app/success/page.tsx", {
+      base: `//old\n${success}`,
+      yours: `//old\n${success.replace("Processing your payment", "Paying")}`,
+    });
+    //both changed the same line
+    await setFile("app/components/Navbar.tsx", {
+      base: ["//old", ...navbarRest].join("\n"),
+      yours: ["//mine", ...navbarRest].join("\n"),
+    });
+    //only you changed
+    await fs.writeFile(
+      path.join(dir, "app/cancel/page.tsx"),
+      cancel.replace("Cancel", "Cancelled")
+    );
+    await fs.remove(path.join(dir, "app/assests/verified.tsx"));
+
+    const dryRun = await upgradeProject({ dir, dryRun: true });
+    assert.equal(
+      await readFile("app/components/Footer.tsx"),
+      `//old\n${footer}`
+    );
+
+    const { results } = await upgradeProject({ dir });
+    assert.deepEqual(dryRun.results, results);
+    assert.deepEqual(
+      results.filter(({ status }) => status !== "unchanged"),
+      [
+        { file: "app/assests/verified.tsx", status: "deleted" },
+        { file: "app/cancel/page.tsx", status: "kept" },
+        { file: "app/components/Footer.tsx", status: "update" },
+        { file: "app/components/Navbar.tsx", status: "conflict" },
+        { file: "app/success/page.tsx", status: "merge" },
+      ]
+    );
+    assert.equal(await readFile("app/components/Footer.tsx"), footer);
+    assert.equal(
+      await readFile("app/success/page.tsx"),
+      success.replace("Processing your payment", "Paying")
+    );
+    assert.equal(
+      await readFile("app/components/Navbar.tsx"),
+      [
+        "<<<<<<< yours",
+        "//mine",
+        "=======",
+        navbarFirstLine,
+        `>>>>>>> template ${templateVersion}`,
+        ...navbarRest,
+      ].join("\n")
+    );
+    assert.equal(
+      await readFile("app/cancel/page.tsx"),
+      cancel.replace("Cancel", "Cancelled")
+    );
+    assert.equal(
+      await fs.pathExists(path.join(dir, "app/assests/verified.tsx")),
+      false
+    );
+
+    //the new templates are the base of the next upgrade
+    const again = await upgradeProject({ dir });
+    assert.deepEqual(
+      again.results.filter(({ status }) => status !== "unchanged"),
+      [
+        { file: "app/assests/verified.tsx", status: "deleted" },
+        { file: "app/cancel/page.tsx", status: "kept" },
+        { file: "app/components/Navbar.tsx", status: "kept" },
+        { file: "app/success/page.tsx", status: "kept" },
+      ]
+    );
+  });
+
+  test("loads local plugins relative to the project", async () => {
+    const pluginDir = path.join(tempDir, "plugins", "hello");
+    await fs.outputFile(
+      path.join(pluginDir, "index.js"),
+      `export default { name: "hello", files: { "hello.txt": "hello.txt.ejs" } };\n`
+    );
+    await fs.outputFile(path.join(pluginDir, "hello.txt.ejs"), "hello\n");
+    const { dir: pluginApp } = await createSaaS({
+      name: "plugin-app",
+      dir: tempDir,
+      plugins: [pluginDir],
+    });
+    const manifest = await fs.readJson(
+      path.join(pluginApp, ".saasstart", "manifest.json")
+    );
+    assert.deepEqual(manifest.plugins, [
+      { name: "hello", spec: "../plugins/hello", answers: {} },
+    ]);
+
+    //another checkout of the app, with the plugin at the same place next to it
+    const checkout = path.join(tempDir, "checkout");
+    await fs.copy(pluginApp, path.join(checkout, "plugin-app"));
+    await fs.copy(pluginDir, path.join(checkout, "plugins", "hello"));
+    await fs.remove(pluginDir);
+    const { results } = await upgradeProject({
+      dir: path.join(checkout, "plugin-app"),
+    });
+    assert.deepEqual(
+      results.find(({ file }) => file === "hello.txt"),
+      { file: "hello.txt", status: "unchanged" }
+    );
+  });
+});